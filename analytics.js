@@ -0,0 +1,248 @@
+/**
+ * LinkedIn Comment Generator - Analytics Page
+ *
+ * Charts how the extension is used, computed locally from the comment history.
+ */
+document.addEventListener('DOMContentLoaded', function() {
+    const rangeSelect = document.getElementById('rangeSelect');
+    const groupSelect = document.getElementById('groupSelect');
+    const postedStat = document.getElementById('postedStat');
+    const ratioStat = document.getElementById('ratioStat');
+    const editedStat = document.getElementById('editedStat');
+    const lengthStat = document.getElementById('lengthStat');
+    const lengthStatLabel = document.getElementById('lengthStatLabel');
+    const timeChart = document.getElementById('timeChart');
+    const toneChart = document.getElementById('toneChart');
+    const authorChart = document.getElementById('authorChart');
+    const engagementGroupSelect = document.getElementById('engagementGroupSelect');
+    const engagementChart = document.getElementById('engagementChart');
+    
+    const DAY_MS = 24 * 60 * 60 * 1000;
+    const MAX_AUTHORS = 10;
+    
+    /**
+     * Custom logging utility
+     */
+    const logger = {
+        // Set to false in production
+        enabled: false,
+        
+        log(message, data) {
+            if (this.enabled) {
+                console.log(`[LinkedIn Comment Generator] ${message}`, data || '');
+            }
+        },
+        
+        error(message, error) {
+            // Always log errors
+            console.error(`[LinkedIn Comment Generator] ${message}`, error || '');
+        }
+    };
+    
+    /**
+     * Whether a history entry ended up on LinkedIn; drafts count, the user posts them by hand
+     * @param {Object} entry - History entry
+     * @returns {boolean}
+     */
+    function isUsed(entry) {
+        return entry.status === 'posted' || entry.status === 'draft';
+    }
+    
+    /**
+     * Start of the local day or week (Monday) a timestamp falls in
+     * @param {number} timestamp - Milliseconds since the epoch
+     * @param {string} group - 'day' or 'week'
+     * @returns {Date}
+     */
+    function startOfPeriod(timestamp, group) {
+        const date = new Date(timestamp);
+        date.setHours(0, 0, 0, 0);
+        if (group === 'week') {
+            date.setDate(date.getDate() - (date.getDay() + 6) % 7);
+        }
+        return date;
+    }
+    
+    /**
+     * Count items by a key, largest first
+     * @param {Object[]} items - Items to count
+     * @param {Function} getKey - Returns the key of an item, falsy keys are skipped
+     * @returns {Array<[string, number]>}
+     */
+    function countBy(items, getKey) {
+        const counts = new Map();
+        items.forEach(item => {
+            const key = getKey(item);
+            if (key) {
+                counts.set(key, (counts.get(key) || 0) + 1);
+            }
+        });
+        return [...counts.entries()].sort((a, b) => b[1] - a[1]);
+    }
+    
+    /**
+     * Average reactions plus replies per comment by a key, best first
+     * Only comments whose engagement was seen on LinkedIn count.
+     * @param {Object[]} entries - Used history entries
+     * @param {Function} getKey - Returns the key of an entry, falsy keys are skipped
+     * @returns {Array<[string, number]>}
+     */
+    function averageEngagementBy(entries, getKey) {
+        const groups = new Map();
+        entries.filter(entry => entry.engagementCheckedAt).forEach(entry => {
+            const key = getKey(entry);
+            if (!key) return;
+            
+            const group = groups.get(key) || { total: 0, count: 0 };
+            group.total += (entry.reactions || 0) + (entry.replies || 0);
+            group.count++;
+            groups.set(key, group);
+        });
+        return [...groups.entries()]
+            .map(([key, { total, count }]) => [key, Math.round((total / count) * 10) / 10])
+            .sort((a, b) => b[1] - a[1]);
+    }
+    
+    /**
+     * Label of a tone value, falling back to the value for tones no longer offered
+     * @param {string} tone - Tone value
+     * @returns {string}
+     */
+    function getToneLabel(tone) {
+        const match = SETTINGS.TONES.find(t => t.value === tone);
+        return match ? match.label : tone;
+    }
+    
+    /**
+     * Draw horizontal bars, one per row
+     * @param {HTMLElement} chart - Chart container
+     * @param {Array<[string, number]>} rows - Label and value pairs
+     * @param {string} emptyText - Shown when there are no rows
+     */
+    function renderBars(chart, rows, emptyText = 'No posted comments in this period') {
+        chart.innerHTML = '';
+        if (rows.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'empty';
+            empty.textContent = emptyText;
+            chart.appendChild(empty);
+            return;
+        }
+        
+        const max = Math.max(...rows.map(([, value]) => value));
+        rows.forEach(([label, value]) => {
+            const row = document.createElement('div');
+            row.className = 'bar-row';
+            
+            const labelElement = document.createElement('span');
+            labelElement.className = 'bar-label';
+            labelElement.textContent = label;
+            labelElement.title = label;
+            
+            const track = document.createElement('div');
+            track.className = 'bar-track';
+            const fill = document.createElement('div');
+            fill.className = 'bar-fill';
+            fill.style.width = `${(value / max) * 100}%`;
+            track.appendChild(fill);
+            
+            const valueElement = document.createElement('span');
+            valueElement.className = 'bar-value';
+            valueElement.textContent = value;
+            
+            row.appendChild(labelElement);
+            row.appendChild(track);
+            row.appendChild(valueElement);
+            chart.appendChild(row);
+        });
+    }
+    
+    /**
+     * Draw one column per day or week between from and now, including empty periods
+     * @param {Object[]} entries - Used history entries
+     * @param {number} from - Start of the period, timestamp
+     * @param {string} group - 'day' or 'week'
+     */
+    function renderTimeChart(entries, from, group) {
+        const counts = new Map(countBy(entries, entry => startOfPeriod(entry.postedAt || entry.createdAt, group).getTime()));
+        const periods = [];
+        for (let date = startOfPeriod(from, group); date.getTime() <= Date.now(); date.setDate(date.getDate() + (group === 'week' ? 7 : 1))) {
+            periods.push(date.getTime());
+        }
+        
+        const max = Math.max(1, ...counts.values());
+        // Label every period when there are few, otherwise about eight evenly spread labels
+        const labelEvery = Math.ceil(periods.length / 8);
+        
+        timeChart.innerHTML = '';
+        periods.forEach((period, index) => {
+            const count = counts.get(period) || 0;
+            const column = document.createElement('div');
+            column.className = 'column';
+            column.title = `${new Date(period).toLocaleDateString()}${group === 'week' ? ' (week)' : ''}: ${count}`;
+            
+            const bar = document.createElement('div');
+            bar.className = 'column-bar';
+            bar.style.height = `${(count / max) * 100}%`;
+            
+            const label = document.createElement('div');
+            label.className = 'column-label';
+            label.textContent = index % labelEvery === 0
+                ? new Date(period).toLocaleDateString(undefined, { month: 'short', day: 'numeric' })
+                : ' ';
+            
+            column.appendChild(bar);
+            column.appendChild(label);
+            timeChart.appendChild(column);
+        });
+    }
+    
+    /**
+     * Recompute every statistic for the selected period
+     */
+    async function render() {
+        try {
+            const days = Number(rangeSelect.value);
+            const allEntries = await HISTORY.getAll();
+            const from = days
+                ? startOfPeriod(Date.now() - (days - 1) * DAY_MS, 'day').getTime()
+                : Math.min(Date.now(), ...allEntries.map(entry => entry.createdAt));
+            const entries = allEntries.filter(entry => entry.createdAt >= from);
+            const used = entries.filter(isUsed);
+            
+            postedStat.textContent = used.length;
+            ratioStat.textContent = used.length ? (entries.length / used.length).toFixed(1) : '–';
+            editedStat.textContent = used.length
+                ? `${Math.round((used.filter(entry => entry.edited).length / used.length) * 100)}%`
+                : '–';
+            
+            if (used.length) {
+                const characters = used.reduce((sum, entry) => sum + entry.comment.length, 0) / used.length;
+                const words = used.reduce((sum, entry) => sum + entry.comment.split(/\s+/).filter(Boolean).length, 0) / used.length;
+                lengthStat.textContent = `${Math.round(words)} words`;
+                lengthStatLabel.textContent = `Average comment length (${Math.round(characters)} characters)`;
+            } else {
+                lengthStat.textContent = '–';
+                lengthStatLabel.textContent = 'Average comment length';
+            }
+            
+            renderTimeChart(used, from, groupSelect.value);
+            
+            renderBars(toneChart, countBy(used, entry => entry.tone).map(([tone, count]) => [getToneLabel(tone), count]));
+            renderBars(authorChart, countBy(used, entry => entry.author).slice(0, MAX_AUTHORS));
+            
+            const engagementGroup = engagementGroupSelect.value;
+            renderBars(engagementChart, averageEngagementBy(used, entry => entry[engagementGroup])
+                .map(([key, average]) => [engagementGroup === 'tone' ? getToneLabel(key) : key, average]),
+                'No engagement seen yet on comments posted in this period');
+        } catch (error) {
+            logger.error('Error computing analytics', error);
+        }
+    }
+    
+    // Start initialization
+    rangeSelect.addEventListener('change', render);
+    groupSelect.addEventListener('change', render);
+    engagementGroupSelect.addEventListener('change', render);
+    render();
+});
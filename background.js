@@ -4,6 +4,8 @@
  * Handles extension-level functionality that requires background processing.
  */
 
+importScripts('settings.js', 'generation.js', 'history.js');
+
 /**
  * Logging utility for the background script
  */
@@ -50,6 +52,69 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
                 version: chrome.runtime.getManifest().version,
                 name: chrome.runtime.getManifest().name
             });
+        } else if (request.action === 'openOptions') {
+            // Content scripts cannot open the options page themselves
+            chrome.runtime.openOptionsPage();
+            sendResponse({ success: true });
+        } else if (request.action === 'listModels') {
+            // Return the models offered by every configured provider
+            listAvailableModels()
+                .then(result => sendResponse({ success: true, ...result }))
+                .catch(error => {
+                    logger.error('Error listing models', error);
+                    sendResponse({ 
+                        success: false, 
+                        error: error.message 
+                    });
+                });
+        } else if (request.action === 'cancelGeneration') {
+            // Abort every pending generation for one post
+            const cancelled = cancelRequests(request.requestKey);
+            logger.log(`Cancelled ${cancelled} generation request(s)`, request.requestKey);
+            sendResponse({ success: true, cancelled });
+        } else if (request.action === 'addHistory') {
+            // Content scripts cannot open the extension's IndexedDB themselves
+            HISTORY.add(request.entry)
+                .then(id => sendResponse({ success: true, id }))
+                .catch(error => {
+                    logger.error('Error adding history entry', error);
+                    sendResponse({ 
+                        success: false, 
+                        error: error.message 
+                    });
+                });
+        } else if (request.action === 'updateHistory') {
+            HISTORY.update(request.id, request.changes)
+                .then(entry => sendResponse({ success: !!entry, entry }))
+                .catch(error => {
+                    logger.error('Error updating history entry', error);
+                    sendResponse({ 
+                        success: false, 
+                        error: error.message 
+                    });
+                });
+        } else if (request.action === 'getPostHistory') {
+            // Lets the content script tell whether the user already commented on a post
+            HISTORY.getByPost(request.postUrn)
+                .then(entries => sendResponse({ success: true, entries }))
+                .catch(error => {
+                    logger.error('Error reading post history', error);
+                    sendResponse({ 
+                        success: false, 
+                        error: error.message 
+                    });
+                });
+        } else if (request.action === 'recordEngagement') {
+            // Reactions and replies a posted comment received, scraped by the content script
+            HISTORY.recordEngagement(request.commentUrn, request)
+                .then(updated => sendResponse({ success: true, updated }))
+                .catch(error => {
+                    logger.error('Error recording comment engagement', error);
+                    sendResponse({ 
+                        success: false, 
+                        error: error.message 
+                    });
+                });
         } else if (request.action === 'generateComment') {
             // Handle API call to generate comment
             logger.log('Generating comment via background script');
@@ -76,62 +141,772 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
 });
 
 /**
- * Generate comment using the custom AI API
+ * Pending generations, keyed by the post they were started for
+ * A post can have several at once when more than one candidate is generated.
+ * @type {Map<string, Set<AbortController>>}
+ */
+const activeRequests = new Map();
+
+/**
+ * Abort every pending generation started for a post
+ * @param {string} requestKey - Key the client sent with the request, usually the post ID
+ * @returns {number} How many requests were aborted
+ */
+function cancelRequests(requestKey) {
+    const controllers = activeRequests.get(requestKey);
+    if (!controllers) return 0;
+    
+    controllers.forEach(controller => controller.abort());
+    activeRequests.delete(requestKey);
+    return controllers.size;
+}
+
+/**
+ * Stream generated comments to the content script and popup over a long-lived port
+ * See GENERATION.stream for the message protocol. Closing the port cancels the request.
+ */
+chrome.runtime.onConnect.addListener((port) => {
+    if (port.name !== GENERATION.PORT_NAME) return;
+    
+    const controller = new AbortController();
+    let disconnected = false;
+    
+    // The client may disconnect at any time, so never let a late message throw
+    const send = (message) => {
+        try {
+            port.postMessage(message);
+        } catch (error) {
+            logger.log('Generation port already closed');
+        }
+    };
+    
+    port.onDisconnect.addListener(() => {
+        disconnected = true;
+        controller.abort();
+    });
+    
+    port.onMessage.addListener(async (message) => {
+        if (message.action === 'cancel') {
+            logger.log('Generation cancelled by client');
+            controller.abort();
+        } else if (message.action === 'start') {
+            logger.log('Streaming comment via background script');
+            
+            const requestKey = message.data.requestKey;
+            if (requestKey) {
+                if (!activeRequests.has(requestKey)) {
+                    activeRequests.set(requestKey, new Set());
+                }
+                activeRequests.get(requestKey).add(controller);
+            }
+            
+            const result = await generateCommentViaBackground(message.data, {
+                signal: controller.signal,
+                onChunk: text => send({ type: 'chunk', text })
+            });
+            
+            if (requestKey && activeRequests.has(requestKey)) {
+                activeRequests.get(requestKey).delete(controller);
+                if (activeRequests.get(requestKey).size === 0) {
+                    activeRequests.delete(requestKey);
+                }
+            }
+            
+            // Nobody is listening any more when the client closed the port itself
+            if (disconnected) return;
+            
+            if (controller.signal.aborted) {
+                send({ type: 'cancelled' });
+            } else {
+                send(result.success 
+                    ? { type: 'done', comment: result.comment } 
+                    : { type: 'error', error: result.error });
+            }
+        }
+    });
+});
+
+/**
+ * AI provider registry
+ *
+ * Each provider describes one backend: how it authenticates, which models it
+ * offers, how to build the HTTP request and how to read the comment out of
+ * the response. Model values are passed around as "provider:model".
+ */
+const PROVIDERS = {
+    shiv: {
+        label: 'Shiv AI',
+        defaultModel: 'gemini-pro',
+        
+        /**
+         * Whether the provider has everything it needs to be used
+         * @param {Object} settings - Stored extension settings
+         * @returns {boolean}
+         */
+        isConfigured(settings) {
+            return true;
+        },
+        
+        /**
+         * Build authentication headers (the Shiv AI endpoint is anonymous)
+         * @param {Object} settings - Stored extension settings
+         * @returns {Object} Headers to merge into the request
+         */
+        getAuthHeaders(settings) {
+            return {};
+        },
+        
+        /**
+         * List the models this provider offers
+         * @param {Object} settings - Stored extension settings
+         * @returns {Promise<Array>} Models as { id, label }
+         */
+        async listModels(settings) {
+            return [{ id: 'gemini-pro', label: 'Shiv AI 🚀' }];
+        },
+        
+        /**
+         * Build the request for a prompt
+         * The endpoint takes a single prompt, so the system context goes in front of it.
+         * @param {Object} request - { prompt, system, model }
+         * @param {Object} settings - Stored extension settings
+         * @returns {Object} { url, body }
+         */
+        buildRequest({ prompt, system, model }, settings) {
+            return {
+                url: 'https://sii3.top/api/gemini-dark.php',
+                body: { [model]: system ? `${system}\n\n${prompt}` : prompt }
+            };
+        },
+        
+        /**
+         * Extract the comment text from a parsed response
+         * The Shiv AI endpoint cannot stream, so it has no parseStreamChunk and
+         * the whole comment is relayed as a single chunk.
+         * Based on the API format: [{"data": "2025-09-18", "response": "Hi! How can I help you today?", "dev": "..."}]
+         * @param {any} responseData - Parsed JSON or raw text
+         * @returns {string} The comment text
+         */
+        parseResponse(responseData) {
+            if (Array.isArray(responseData) && responseData.length > 0) {
+                // The API returns an array with the response object as the first element
+                const responseObj = responseData[0];
+                if (responseObj && responseObj.response) {
+                    return responseObj.response;
+                }
+                logger.error('API response array does not contain expected response field:', responseObj);
+                throw new Error('API response format invalid - missing response field in array element');
+            }
+            
+            if (typeof responseData === 'string') {
+                return responseData;
+            }
+            
+            if (responseData && typeof responseData === 'object') {
+                // Fallback for other possible response formats
+                const comment = responseData.response || responseData.text || responseData.content ||
+                    responseData.message || responseData.result;
+                if (comment) {
+                    return comment;
+                }
+                
+                // If it's an object, try to get the first string value
+                const values = Object.values(responseData);
+                return values.find(val => typeof val === 'string') || JSON.stringify(responseData);
+            }
+            
+            return String(responseData);
+        }
+    },
+    
+    openai: {
+        label: 'OpenAI-compatible',
+        defaultModel: 'gpt-4o-mini',
+        
+        /**
+         * Usable once a key is stored or the base URL points at another server
+         * (company gateways and local servers often need no key)
+         * @param {Object} settings - Stored extension settings
+         * @returns {boolean}
+         */
+        isConfigured(settings) {
+            return Boolean(settings.openaiApiKey) || 
+                settings.openaiBaseUrl !== SETTINGS.DEFAULTS.openaiBaseUrl;
+        },
+        
+        /**
+         * Build the bearer token header from the stored API key
+         * @param {Object} settings - Stored extension settings
+         * @returns {Object} Headers to merge into the request
+         */
+        getAuthHeaders(settings) {
+            return settings.openaiApiKey 
+                ? { 'Authorization': `Bearer ${settings.openaiApiKey}` } 
+                : {};
+        },
+        
+        /**
+         * List models from the server's /models endpoint, always including the configured model
+         * @param {Object} settings - Stored extension settings
+         * @returns {Promise<Array>} Models as { id, label }
+         */
+        async listModels(settings) {
+            const ids = new Set();
+            if (settings.openaiModel) {
+                ids.add(settings.openaiModel);
+            }
+            
+            try {
+                const data = await fetchJson(`${trimTrailingSlash(settings.openaiBaseUrl)}/models`, {
+                    headers: this.getAuthHeaders(settings)
+                });
+                (data.data || []).forEach(model => ids.add(model.id));
+            } catch (error) {
+                logger.error('Could not fetch model list from OpenAI-compatible server', error);
+            }
+            
+            return [...ids].map(id => ({ id, label: `${id} 🧠` }));
+        },
+        
+        /**
+         * Build a /chat/completions request
+         * @param {Object} request - { prompt, system, model, stream }
+         * @param {Object} settings - Stored extension settings
+         * @returns {Object} { url, body }
+         */
+        buildRequest({ prompt, system, model, stream }, settings) {
+            return {
+                url: `${trimTrailingSlash(settings.openaiBaseUrl)}/chat/completions`,
+                body: {
+                    model: model || settings.openaiModel,
+                    messages: buildMessages(prompt, system),
+                    temperature: 0.7,
+                    stream: Boolean(stream)
+                }
+            };
+        },
+        
+        /**
+         * Extract the assistant message from a chat completion
+         * @param {any} responseData - Parsed JSON or raw text
+         * @returns {string} The comment text
+         */
+        parseResponse(responseData) {
+            const choice = responseData && Array.isArray(responseData.choices) ? responseData.choices[0] : null;
+            if (!choice || !choice.message || typeof choice.message.content !== 'string') {
+                logger.error('Chat completion response has no message content:', responseData);
+                throw new Error('API response format invalid - missing choices[0].message.content');
+            }
+            return choice.message.content;
+        },
+        
+        /**
+         * Extract the text delta from one line of a server-sent events stream
+         * @param {string} line - A single line of the response body
+         * @returns {string} The new text, or an empty string for keep-alives and the [DONE] marker
+         */
+        parseStreamChunk(line) {
+            if (!line.startsWith('data:')) return '';
+            
+            const payload = line.slice('data:'.length).trim();
+            if (payload === '[DONE]') return '';
+            
+            const data = JSON.parse(payload);
+            if (data.error) {
+                throw new Error(data.error.message || JSON.stringify(data.error));
+            }
+            
+            const choice = Array.isArray(data.choices) ? data.choices[0] : null;
+            return (choice && choice.delta && choice.delta.content) || '';
+        }
+    },
+    
+    ollama: {
+        label: 'Ollama',
+        defaultModel: 'llama3',
+        local: true,
+        // Local models on consumer hardware can take a while to answer
+        timeoutMs: 120000,
+        
+        /**
+         * Usable whenever a base URL is set; availability is discovered by listModels
+         * @param {Object} settings - Stored extension settings
+         * @returns {boolean}
+         */
+        isConfigured(settings) {
+            return Boolean(settings.ollamaBaseUrl);
+        },
+        
+        /**
+         * Ollama has no authentication
+         * @param {Object} settings - Stored extension settings
+         * @returns {Object} Headers to merge into the request
+         */
+        getAuthHeaders(settings) {
+            return {};
+        },
+        
+        /**
+         * List the models installed in the local Ollama server
+         * @param {Object} settings - Stored extension settings
+         * @returns {Promise<Array>} Models as { id, label }
+         */
+        async listModels(settings) {
+            const data = await fetchJson(`${trimTrailingSlash(settings.ollamaBaseUrl)}/api/tags`, {}, 2000);
+            return (data.models || []).map(model => ({ id: model.name, label: `${model.name} 🦙` }));
+        },
+        
+        /**
+         * Build an /api/chat request
+         * @param {Object} request - { prompt, system, model, stream }
+         * @param {Object} settings - Stored extension settings
+         * @returns {Object} { url, body }
+         */
+        buildRequest({ prompt, system, model, stream }, settings) {
+            return {
+                url: `${trimTrailingSlash(settings.ollamaBaseUrl)}/api/chat`,
+                body: {
+                    model,
+                    messages: buildMessages(prompt, system),
+                    stream: Boolean(stream)
+                }
+            };
+        },
+        
+        /**
+         * Extract the assistant message from an Ollama chat response
+         * @param {any} responseData - Parsed JSON or raw text
+         * @returns {string} The comment text
+         */
+        parseResponse(responseData) {
+            if (!responseData || !responseData.message || typeof responseData.message.content !== 'string') {
+                logger.error('Ollama response has no message content:', responseData);
+                throw new Error('API response format invalid - missing message.content');
+            }
+            return responseData.message.content;
+        },
+        
+        /**
+         * Extract the text from one line of Ollama's newline-delimited JSON stream
+         * @param {string} line - A single line of the response body
+         * @returns {string} The new text
+         */
+        parseStreamChunk(line) {
+            if (!line) return '';
+            
+            const data = JSON.parse(line);
+            if (data.error) {
+                throw new Error(data.error);
+            }
+            return (data.message && data.message.content) || '';
+        },
+        
+        /**
+         * Explain how to fix an unreachable server
+         * @param {Object} settings - Stored extension settings
+         * @returns {string} The error message
+         */
+        offlineMessage(settings) {
+            return `Ollama is not running at ${settings.ollamaBaseUrl}. Start it with "ollama serve" and try again.`;
+        }
+    },
+    
+    llamacpp: {
+        label: 'llama.cpp',
+        defaultModel: 'default',
+        local: true,
+        timeoutMs: 120000,
+        
+        /**
+         * Usable whenever a base URL is set; availability is discovered by listModels
+         * @param {Object} settings - Stored extension settings
+         * @returns {boolean}
+         */
+        isConfigured(settings) {
+            return Boolean(settings.llamacppBaseUrl);
+        },
+        
+        /**
+         * llama.cpp's server runs without authentication by default
+         * @param {Object} settings - Stored extension settings
+         * @returns {Object} Headers to merge into the request
+         */
+        getAuthHeaders(settings) {
+            return {};
+        },
+        
+        /**
+         * List the model loaded by the llama.cpp server
+         * @param {Object} settings - Stored extension settings
+         * @returns {Promise<Array>} Models as { id, label }
+         */
+        async listModels(settings) {
+            const data = await fetchJson(`${trimTrailingSlash(settings.llamacppBaseUrl)}/v1/models`, {}, 2000);
+            return (data.data || []).map(model => ({ id: model.id, label: `${model.id} 🦙` }));
+        },
+        
+        /**
+         * llama.cpp speaks the OpenAI chat completions format
+         * @param {Object} request - { prompt, system, model, stream }
+         * @param {Object} settings - Stored extension settings
+         * @returns {Object} { url, body }
+         */
+        buildRequest({ prompt, system, model, stream }, settings) {
+            return {
+                url: `${trimTrailingSlash(settings.llamacppBaseUrl)}/v1/chat/completions`,
+                body: {
+                    model,
+                    messages: buildMessages(prompt, system),
+                    stream: Boolean(stream)
+                }
+            };
+        },
+        
+        /**
+         * Extract the assistant message from a chat completion
+         * @param {any} responseData - Parsed JSON or raw text
+         * @returns {string} The comment text
+         */
+        parseResponse(responseData) {
+            return PROVIDERS.openai.parseResponse(responseData);
+        },
+        
+        /**
+         * llama.cpp streams OpenAI-style server-sent events
+         * @param {string} line - A single line of the response body
+         * @returns {string} The new text
+         */
+        parseStreamChunk(line) {
+            return PROVIDERS.openai.parseStreamChunk(line);
+        },
+        
+        /**
+         * Explain how to fix an unreachable server
+         * @param {Object} settings - Stored extension settings
+         * @returns {string} The error message
+         */
+        offlineMessage(settings) {
+            return `llama.cpp server is not running at ${settings.llamacppBaseUrl}. Start it with "llama-server -m <model>" and try again.`;
+        }
+    }
+};
+
+/**
+ * Build chat messages for a prompt, with the system context first when there is one
+ * @param {string} prompt - The user prompt
+ * @param {string} system - System context, may be empty
+ * @returns {Array} Chat messages as { role, content }
+ */
+function buildMessages(prompt, system) {
+    const messages = [{ role: 'user', content: prompt }];
+    if (system) {
+        messages.unshift({ role: 'system', content: system });
+    }
+    return messages;
+}
+
+/**
+ * Remove trailing slashes from a base URL
+ * @param {string} url - Base URL from settings
+ * @returns {string} The URL without trailing slashes
+ */
+function trimTrailingSlash(url) {
+    return (url || '').replace(/\/+$/, '');
+}
+
+/**
+ * GET a JSON document with a timeout
+ * @param {string} url - URL to fetch
+ * @param {Object} options - Extra fetch options
+ * @param {number} timeoutMs - Abort after this many milliseconds
+ * @returns {Promise<any>} The parsed JSON body
+ */
+async function fetchJson(url, options = {}, timeoutMs = 5000) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+    
+    try {
+        const response = await fetch(url, { ...options, signal: controller.signal });
+        if (!response.ok) {
+            throw new Error(`${response.status} ${response.statusText}`);
+        }
+        return await response.json();
+    } finally {
+        clearTimeout(timeoutId);
+    }
+}
+
+/**
+ * Split a "provider:model" value into its parts
+ * Model names may contain colons themselves (e.g. "llama3:8b"), so only the
+ * first colon separates the provider.
+ * @param {string} value - Model value from a dropdown or settings
+ * @returns {Object} { providerId, model }
+ */
+function parseModelValue(value) {
+    const [providerId, ...rest] = (value || SETTINGS.DEFAULTS.defaultModel).split(':');
+    const provider = PROVIDERS[providerId];
+    
+    if (!provider) {
+        throw new Error(`Unknown AI provider: ${providerId}`);
+    }
+    
+    return {
+        providerId,
+        model: rest.join(':') || provider.defaultModel
+    };
+}
+
+/**
+ * List every model offered by the configured providers
+ * A provider that fails to list its models is reported as unavailable so the
+ * others still show up.
+ * @returns {Promise<Object>} { models: [{ value, label, provider }], unavailable: [{ provider, error }] }
+ */
+async function listAvailableModels() {
+    const settings = await SETTINGS.load();
+    const models = [];
+    const unavailable = [];
+    
+    for (const [providerId, provider] of Object.entries(PROVIDERS)) {
+        if (!provider.isConfigured(settings)) continue;
+        
+        try {
+            const providerModels = await provider.listModels(settings);
+            providerModels.forEach(model => {
+                models.push({
+                    value: `${providerId}:${model.id}`,
+                    label: model.label,
+                    provider: providerId
+                });
+            });
+        } catch (error) {
+            logger.error(`Could not list models for provider ${providerId}`, error);
+            // A refused or hanging connection means the server is not running
+            const isOffline = error.name === 'TypeError' || error.name === 'AbortError';
+            unavailable.push({
+                provider: providerId,
+                error: isOffline && provider.offlineMessage ? provider.offlineMessage(settings) : error.message
+            });
+        }
+    }
+    
+    return { models, unavailable };
+}
+
+/**
+ * Fill a prompt template with variables
+ * {{name}} is replaced by the variable's value and {{#name}}...{{/name}} is kept
+ * only when the variable is not empty. Unknown variables are left untouched.
+ * @param {string} template - Template text
+ * @param {Object} variables - Values by variable name
+ * @returns {string} The filled-in text
+ */
+function renderTemplate(template, variables) {
+    return template
+        .replace(/\{\{#(\w+)\}\}([\s\S]*?)\{\{\/\1\}\}/g, (match, name, section) => variables[name] ? section : '')
+        .replace(/\{\{(\w+)\}\}/g, (match, name) => name in variables ? String(variables[name] || '') : match);
+}
+
+/**
+ * Build the system context describing who is commenting, from the voice profile
+ * @param {Object} data - The request data, whose commenter is the signed-in LinkedIn user's name
+ * @param {Object} settings - Stored extension settings holding the voice profile
+ * @returns {string} The system context, or an empty string when nothing is known about the user
+ */
+function buildSystemPrompt(data, settings) {
+    const name = settings.profileName || data.commenter;
+    const lines = [
+        settings.profileRole && `Role: ${settings.profileRole}`,
+        settings.profileIndustry && `Industry: ${settings.profileIndustry}`,
+        settings.profileExpertise && `Areas of expertise: ${settings.profileExpertise}`,
+        settings.profilePhrasesUsed && `Phrases they like to use: ${settings.profilePhrasesUsed}`,
+        settings.profilePhrasesAvoided && `Never use these phrases: ${settings.profilePhrasesAvoided}`,
+        settings.profileSampleComments && `Examples of comments they wrote:\n${settings.profileSampleComments}`
+    ].filter(Boolean);
+    
+    if (!name && lines.length === 0) {
+        return '';
+    }
+    
+    return [
+        `You write LinkedIn comments on behalf of ${name || 'the user'}, in their own voice.`,
+        ...lines,
+        'Match their vocabulary and style, and write in the first person as them.'
+    ].join('\n');
+}
+
+/**
+ * Build the prompt sent to the model from the selected prompt template
+ * @param {Object} data - The request data containing content, the structured post, hint, tone, template, length and language
+ * @param {Object} settings - Stored extension settings, used when data leaves a field unset
+ * @returns {string} The prompt text
+ */
+function buildPrompt(data, settings) {
+    const template = SETTINGS.getTemplate(settings, data.template || settings.defaultTemplate);
+    const length = SETTINGS.LENGTHS.find(l => l.value === (data.length || settings.commentLength)) || SETTINGS.LENGTHS[1];
+    
+    // Structured post details from the content script; the popup may only send the text
+    const post = data.post || {};
+    const author = post.author || {};
+    const reshared = post.reshared 
+        ? [post.reshared.authorName, post.reshared.text].filter(Boolean).join(': ') 
+        : '';
+    const article = post.article 
+        ? [post.article.title, post.article.url].filter(Boolean).join(' - ') 
+        : '';
+    const formatComments = list => (list || [])
+        .map(comment => `${comment.authorName ? `${comment.authorName}: ` : ''}"${comment.text}"`)
+        .join(' ');
+    const replyTo = post.replyTo || null;
+    
+    // Templates written for comments know nothing about replies, so tell the model what it is answering
+    let body = template.body;
+    if (replyTo && !body.includes('{{replyTo}}')) {
+        body += ' This is a reply to {{replyAuthor}}\'s comment on the post: "{{replyTo}}"' +
+            '{{#thread}} Earlier comments in the thread: {{thread}}{{/thread}}' +
+            ' Reply to that comment directly instead of commenting on the post itself.';
+    }
+    
+    return renderTemplate(body, {
+        post: data.content,
+        author: author.name || '',
+        authorHeadline: author.headline || '',
+        postedAt: post.timestamp || '',
+        reshared,
+        article,
+        mediaType: post.mediaType && post.mediaType !== 'text' ? post.mediaType : '',
+        hashtags: (post.hashtags || []).join(' '),
+        mentions: (post.mentions || []).join(', '),
+        reactionCount: post.reactionCount || '',
+        commentCount: post.commentCount || '',
+        comments: formatComments(post.comments),
+        replyAuthor: replyTo ? replyTo.authorName || 'another member' : '',
+        replyTo: replyTo ? replyTo.text : '',
+        thread: replyTo ? formatComments(replyTo.thread) : '',
+        tone: data.tone || settings.defaultTone,
+        hint: data.hint || '',
+        language: data.language || settings.language,
+        maxSentences: length.maxSentences
+    });
+}
+
+/**
+ * Read a streamed response body line by line, relaying the text as it arrives
+ * @param {Response} response - The fetch response with a streaming body
+ * @param {Object} provider - Provider whose parseStreamChunk understands the stream format
+ * @param {Function} onChunk - Called with each new piece of text
+ * @param {Function} onActivity - Called before every read, used to re-arm the idle timeout
+ * @returns {Promise<string>} The full streamed text
+ */
+async function readStream(response, provider, onChunk, onActivity) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let text = '';
+    
+    const handleLine = (line) => {
+        const chunk = provider.parseStreamChunk(line.trim());
+        if (chunk) {
+            text += chunk;
+            onChunk(chunk);
+        }
+    };
+    
+    while (true) {
+        onActivity();
+        const { done, value } = await reader.read();
+        if (done) break;
+        
+        buffer += decoder.decode(value, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = lines.pop(); // Keep the incomplete last line for the next read
+        lines.forEach(handleLine);
+    }
+    
+    buffer += decoder.decode();
+    if (buffer) {
+        handleLine(buffer);
+    }
+    
+    return text;
+}
+
+/**
+ * Generate comment using the provider selected by data.model
+ * When onChunk is given, providers that can stream relay text as it is generated;
+ * the others relay the whole comment as one chunk.
  * @param {Object} data - The request data containing prompt, content, etc.
+ * @param {Object} options - { signal, onChunk } to cancel the request and receive partial text
  * @returns {Promise<Object>} Result of the API call
  */
-async function generateCommentViaBackground(data) {
-    const API_URL = 'https://sii3.top/api/gemini-dark.php';
+async function generateCommentViaBackground(data, { signal = null, onChunk = null } = {}) {
     const MAX_RETRIES = 2;
     const TIMEOUT_MS = 10000;
     
+    let controller = null;
+    let timeoutId = null;
+    const cancel = () => controller && controller.abort();
+    
     try {
-        // Create the prompt for the custom AI server
-        let prompt = `Generate a professional LinkedIn comment for the following post: "${data.content}"`;
+        const settings = await SETTINGS.load();
+        const { providerId, model } = parseModelValue(data.model || settings.defaultModel);
+        const provider = PROVIDERS[providerId];
         
-        if (data.hint) {
-            prompt += ` Additional context: ${data.hint}`;
+        if (!provider.isConfigured(settings)) {
+            throw new Error(`${provider.label} is not configured`);
         }
         
-        if (data.tone && data.tone !== 'professional') {
-            prompt += ` Use a ${data.tone} tone.`;
-        }
-        
-        prompt += ' Write a brief, engaging comment (2-3 sentences) that adds value. NOTE : No markdown formatting, asterisks, or em dashes. Use natural language as if commenting on a colleague\'s post. Keep it conversational and concise.';
-        
-        // Prepare the request payload for custom AI server
-        const payload = {
-            "gemini-pro": prompt
-        };
-        logger.log('Sending payload to API', payload);
+        const stream = Boolean(onChunk && provider.parseStreamChunk);
+        const prompt = buildPrompt(data, settings);
+        const system = buildSystemPrompt(data, settings);
+        const { url, body } = provider.buildRequest({ prompt, system, model, stream }, settings);
+        logger.log(`Sending payload to ${provider.label}`, body);
         
         const requestOptions = {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json',
-                'Accept': 'application/json, text/plain, */*',
-                'User-Agent': 'LinkedIn Comment Generator Extension'
+                'Accept': stream ? 'text/event-stream, application/x-ndjson, */*' : 'application/json, text/plain, */*',
+                'User-Agent': 'LinkedIn Comment Generator Extension',
+                ...provider.getAuthHeaders(settings)
             },
-            body: JSON.stringify(payload),
+            body: JSON.stringify(body),
             mode: 'cors',
             cache: 'no-cache'
         };
         
+        // Local servers either answer or are not running, so retrying only delays the error
+        const maxRetries = provider.local ? 0 : MAX_RETRIES;
+        // While streaming this is an idle timeout, re-armed whenever text arrives
+        const timeoutMs = provider.timeoutMs || TIMEOUT_MS;
+        const armTimeout = () => {
+            clearTimeout(timeoutId);
+            timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+        };
+        
+        if (signal) {
+            signal.addEventListener('abort', cancel);
+        }
+        
         let retries = 0;
         let response;
         
         // Retry logic with exponential backoff
-        while (retries <= MAX_RETRIES) {
+        while (retries <= maxRetries) {
+            if (signal && signal.aborted) {
+                throw new Error('Generation cancelled');
+            }
+            
             try {
-                logger.log(`API call attempt ${retries + 1}/${MAX_RETRIES + 1}`);
-                logger.log('Making request to:', API_URL);
-                logger.log('Request options:', requestOptions);
+                logger.log(`API call attempt ${retries + 1}/${maxRetries + 1}`);
+                logger.log('Making request to:', url);
                 
-                // Use AbortController to implement timeout
-                const controller = new AbortController();
-                const timeoutId = setTimeout(() => controller.abort(), TIMEOUT_MS);
+                // Use AbortController to implement timeout and cancellation
+                controller = new AbortController();
+                armTimeout();
                 
-                response = await fetch(API_URL, {
+                response = await fetch(url, {
                     ...requestOptions,
                     signal: controller.signal
                 });
@@ -145,11 +920,17 @@ async function generateCommentViaBackground(data) {
                 break;
             } catch (error) {
                 logger.error(`Fetch attempt ${retries + 1} failed:`, error);
+                if (signal && signal.aborted) {
+                    throw new Error('Generation cancelled');
+                }
                 retries++;
-                if (retries > MAX_RETRIES) {
-                    throw error.name === 'AbortError' 
-                        ? new Error('API request timed out') 
-                        : new Error(`Network error: ${error.message}`);
+                if (retries > maxRetries) {
+                    if (error.name === 'AbortError') {
+                        throw new Error('API request timed out');
+                    }
+                    throw new Error(provider.offlineMessage 
+                        ? provider.offlineMessage(settings) 
+                        : `Network error: ${error.message}`);
                 }
                 // Wait before retrying (exponential backoff)
                 await new Promise(resolve => setTimeout(resolve, 1000 * Math.pow(2, retries)));
@@ -169,60 +950,43 @@ async function generateCommentViaBackground(data) {
             throw new Error(errorMessage);
         }
         
-        let responseData;
-        try {
-            const responseText = await response.text();
-            logger.log('Raw API response:', responseText);
-            
-            // Try to parse as JSON first
+        let comment;
+        if (stream) {
             try {
-                responseData = JSON.parse(responseText);
-                logger.log('Parsed JSON response:', responseData);
-            } catch (jsonError) {
-                // If it's not JSON, treat the response as plain text
-                logger.log('Response is not JSON, treating as plain text');
-                responseData = responseText;
+                comment = await readStream(response, provider, onChunk, armTimeout);
+            } catch (streamError) {
+                if (signal && signal.aborted) {
+                    throw new Error('Generation cancelled');
+                }
+                if (streamError.name === 'AbortError') {
+                    throw new Error('API request timed out');
+                }
+                throw streamError;
             }
-        } catch (textError) {
-            logger.error('Could not read response as text:', textError);
-            throw new Error('Failed to read API response');
-        }
-        
-        // Handle the response from custom AI server
-        // Based on your API format: [{"data": "2025-09-18", "response": "Hi! How can I help you today?", "dev": "..."}]
-        let comment;
-        
-        if (Array.isArray(responseData) && responseData.length > 0) {
-            // Your API returns an array with the response object as the first element
-            const responseObj = responseData[0];
-            if (responseObj && responseObj.response) {
-                comment = responseObj.response;
-                logger.log('Extracted comment from API response array:', comment);
-            } else {
-                logger.error('API response array does not contain expected response field:', responseObj);
-                throw new Error('API response format invalid - missing response field in array element');
+        } else {
+            let responseData;
+            try {
+                const responseText = await response.text();
+                logger.log('Raw API response:', responseText);
+                
+                // Try to parse as JSON first
+                try {
+                    responseData = JSON.parse(responseText);
+                    logger.log('Parsed JSON response:', responseData);
+                } catch (jsonError) {
+                    // If it's not JSON, treat the response as plain text
+                    logger.log('Response is not JSON, treating as plain text');
+                    responseData = responseText;
+                }
+            } catch (textError) {
+                logger.error('Could not read response as text:', textError);
+                throw new Error('Failed to read API response');
             }
-        } else if (typeof responseData === 'string') {
-            comment = responseData;
-        } else if (responseData && typeof responseData === 'object') {
-            // Fallback for other possible response formats
-            if (responseData.response) {
-                comment = responseData.response;
-            } else if (responseData.text) {
-                comment = responseData.text;
-            } else if (responseData.content) {
-                comment = responseData.content;
-            } else if (responseData.message) {
-                comment = responseData.message;
-            } else if (responseData.result) {
-                comment = responseData.result;
-            } else {
-                // If it's an object, try to get the first string value
-                const values = Object.values(responseData);
-                comment = values.find(val => typeof val === 'string') || JSON.stringify(responseData);
+            
+            comment = provider.parseResponse(responseData);
+            if (onChunk && comment) {
+                onChunk(comment);
             }
-        } else {
-            comment = String(responseData);
         }
         
         if (!comment || comment.trim() === '') {
@@ -230,16 +994,21 @@ async function generateCommentViaBackground(data) {
         }
         
         logger.log('Successfully generated comment');
-        return { 
-            success: true, 
-            comment: comment.trim() 
+        return {
+            success: true,
+            comment: comment.trim()
         };
     } catch (error) {
         logger.error('Error calling comment generation API', error);
-        return { 
-            success: false, 
-            error: error.message 
+        return {
+            success: false,
+            error: error.message
         };
+    } finally {
+        clearTimeout(timeoutId);
+        if (signal) {
+            signal.removeEventListener('abort', cancel);
+        }
     }
 }
 
@@ -0,0 +1,356 @@
+/**
+ * LinkedIn Comment Generator - Comment History Page
+ *
+ * Lists the stored comment history with full-text search and filters,
+ * and exports or imports it.
+ */
+document.addEventListener('DOMContentLoaded', function() {
+    const searchInput = document.getElementById('searchInput');
+    const authorFilter = document.getElementById('authorFilter');
+    const toneFilter = document.getElementById('toneFilter');
+    const statusFilter = document.getElementById('statusFilter');
+    const fromFilter = document.getElementById('fromFilter');
+    const toFilter = document.getElementById('toFilter');
+    const summary = document.getElementById('summary');
+    const entryList = document.getElementById('entryList');
+    const exportFormat = document.getElementById('exportFormat');
+    const exportFrom = document.getElementById('exportFrom');
+    const exportTo = document.getElementById('exportTo');
+    const exportAllFields = document.getElementById('exportAllFields');
+    const exportFields = document.getElementById('exportFields');
+    const exportBtn = document.getElementById('exportBtn');
+    const importBtn = document.getElementById('importBtn');
+    const importFile = document.getElementById('importFile');
+    const statusElement = document.getElementById('status');
+    
+    // Fields left out of an export unless picked, they are long or rarely needed in reports
+    const UNCHECKED_EXPORT_FIELDS = ['generatedComments', 'authorProfileUrl', 'commentUrn', 'hint'];
+    
+    /**
+     * Custom logging utility
+     */
+    const logger = {
+        // Set to false in production
+        enabled: false,
+        
+        log(message, data) {
+            if (this.enabled) {
+                console.log(`[LinkedIn Comment Generator] ${message}`, data || '');
+            }
+        },
+        
+        error(message, error) {
+            // Always log errors
+            console.error(`[LinkedIn Comment Generator] ${message}`, error || '');
+        }
+    };
+    
+    /**
+     * Add options to a filter dropdown
+     * @param {HTMLSelectElement} select - The dropdown
+     * @param {Object[]} options - { value, label } pairs
+     */
+    function addOptions(select, options) {
+        options.forEach(({ value, label }) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            select.appendChild(option);
+        });
+    }
+    
+    /**
+     * Show a status message next to the export button
+     * @param {string} message - Message to display
+     * @param {boolean} isError - Whether the message is an error
+     */
+    function updateStatus(message, isError = false) {
+        statusElement.textContent = message;
+        statusElement.className = `status ${isError ? 'error' : 'success'}`;
+        setTimeout(() => {
+            statusElement.textContent = '';
+            statusElement.className = 'status';
+        }, 4000);
+    }
+    
+    /**
+     * Turn a pair of date inputs into a timestamp range
+     * Date inputs are local days; "to" includes the whole day.
+     * @param {HTMLInputElement} fromInput - Start date
+     * @param {HTMLInputElement} toInput - End date
+     * @returns {Object} { from, to } timestamps, null when a date is empty
+     */
+    function readDateRange(fromInput, toInput) {
+        return {
+            from: fromInput.value ? new Date(`${fromInput.value}T00:00:00`).getTime() : null,
+            to: toInput.value ? new Date(`${toInput.value}T23:59:59.999`).getTime() : null
+        };
+    }
+    
+    /**
+     * Read the filters into the form HISTORY.query expects
+     * @returns {Object} { search, author, tone, status, from, to }
+     */
+    function readFilters() {
+        return {
+            search: searchInput.value.trim(),
+            author: authorFilter.value,
+            tone: toneFilter.value,
+            status: statusFilter.value,
+            ...readDateRange(fromFilter, toFilter)
+        };
+    }
+    
+    /**
+     * Build the card for one history entry
+     * @param {Object} entry - Stored history entry
+     * @returns {HTMLElement}
+     */
+    function renderEntry(entry) {
+        const card = document.createElement('div');
+        card.className = 'card';
+        
+        const header = document.createElement('div');
+        header.className = 'entry-header';
+        
+        const author = document.createElement(entry.postUrl ? 'a' : 'span');
+        author.className = 'entry-author';
+        author.textContent = entry.author || 'Unknown author';
+        if (entry.postUrl) {
+            author.href = entry.postUrl;
+            author.target = '_blank';
+            author.title = 'Open the post on LinkedIn';
+        }
+        
+        const status = HISTORY.STATUSES.find(s => s.value === entry.status);
+        const badge = document.createElement('span');
+        badge.className = `badge ${entry.status}`;
+        badge.textContent = status ? status.label : entry.status;
+        if (entry.error) {
+            badge.title = entry.error;
+        }
+        
+        header.appendChild(author);
+        header.appendChild(badge);
+        
+        const tone = SETTINGS.TONES.find(t => t.value === entry.tone);
+        const meta = document.createElement('div');
+        meta.className = 'entry-meta';
+        [
+            new Date(entry.createdAt).toLocaleString(),
+            tone ? tone.label : entry.tone,
+            entry.model,
+            entry.template && `📝 ${entry.template}`,
+            entry.replyTo && '↩️ Reply',
+            entry.edited && '✏️ Edited before posting',
+            entry.engagementCheckedAt && `👍 ${entry.reactions || 0} · 💬 ${entry.replies || 0}`
+        ].filter(Boolean).forEach(text => {
+            const item = document.createElement('span');
+            item.textContent = text;
+            meta.appendChild(item);
+        });
+        
+        card.appendChild(header);
+        card.appendChild(meta);
+        
+        if (entry.postExcerpt) {
+            const excerpt = document.createElement('div');
+            excerpt.className = 'entry-excerpt';
+            excerpt.textContent = entry.postExcerpt.length > 200 ? `${entry.postExcerpt.substring(0, 200)}...` : entry.postExcerpt;
+            card.appendChild(excerpt);
+        }
+        
+        const comment = document.createElement('div');
+        comment.className = 'entry-comment';
+        comment.textContent = entry.comment;
+        card.appendChild(comment);
+        
+        const actions = document.createElement('div');
+        actions.className = 'entry-actions';
+        
+        const copyBtn = document.createElement('button');
+        copyBtn.className = 'link-button';
+        copyBtn.textContent = 'Copy';
+        copyBtn.addEventListener('click', async () => {
+            await navigator.clipboard.writeText(entry.comment);
+            copyBtn.textContent = 'Copied!';
+            setTimeout(() => {
+                copyBtn.textContent = 'Copy';
+            }, 2000);
+        });
+        
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'link-button remove';
+        removeBtn.textContent = 'Delete';
+        removeBtn.addEventListener('click', async () => {
+            if (!window.confirm('Delete this comment from the history?')) return;
+            try {
+                await HISTORY.remove(entry.id);
+                render();
+            } catch (error) {
+                logger.error('Error deleting history entry', error);
+            }
+        });
+        
+        actions.appendChild(copyBtn);
+        actions.appendChild(removeBtn);
+        card.appendChild(actions);
+        
+        return card;
+    }
+    
+    /**
+     * Show the entries matching the current search and filters
+     */
+    async function render() {
+        try {
+            const entries = await HISTORY.query(readFilters());
+            
+            entryList.innerHTML = '';
+            summary.textContent = `${entries.length} ${entries.length === 1 ? 'comment' : 'comments'}`;
+            
+            if (entries.length === 0) {
+                const empty = document.createElement('div');
+                empty.className = 'empty';
+                empty.textContent = 'No comments match. Generated and posted comments appear here.';
+                entryList.appendChild(empty);
+                return;
+            }
+            
+            entries.forEach(entry => entryList.appendChild(renderEntry(entry)));
+        } catch (error) {
+            logger.error('Error loading comment history', error);
+            summary.textContent = `Could not load the comment history: ${error.message}`;
+        }
+    }
+    
+    /**
+     * Fill the author filter with every author in the history
+     */
+    async function loadAuthors() {
+        try {
+            const authors = [...new Set((await HISTORY.getAll()).map(entry => entry.author).filter(Boolean))].sort();
+            addOptions(authorFilter, authors.map(author => ({ value: author, label: author })));
+        } catch (error) {
+            logger.error('Error loading authors', error);
+        }
+    }
+    
+    /**
+     * The field checkboxes only apply when not exporting all fields
+     */
+    function updateExportFields() {
+        exportFields.querySelectorAll('input').forEach(input => {
+            input.disabled = exportAllFields.checked;
+        });
+    }
+    
+    /**
+     * Download the history in the chosen date range as CSV or JSON with the chosen fields
+     */
+    async function exportHistory() {
+        const format = exportFormat.value;
+        const fields = exportAllFields.checked
+            ? HISTORY.EXPORT_FIELDS.map(field => field.name)
+            : Array.from(exportFields.querySelectorAll('input:checked')).map(input => input.value);
+        if (fields.length === 0) {
+            updateStatus('Pick at least one field to export', true);
+            return;
+        }
+        const missingImportFields = format === 'json' ? HISTORY.IMPORT_FIELDS.filter(name => !fields.includes(name)) : [];
+        
+        try {
+            // Oldest first reads more naturally in a report
+            const entries = (await HISTORY.query(readDateRange(exportFrom, exportTo))).reverse();
+            const data = format === 'json' ? HISTORY.toJson(entries, fields) : HISTORY.toCsv(entries, fields);
+            const blob = new Blob([data], { type: format === 'json' ? 'application/json' : 'text/csv' });
+            
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(blob);
+            link.download = `linkedin-comments-${new Date().toISOString().slice(0, 10)}.${format}`;
+            link.click();
+            // Revoking right away can cancel the download in some browsers
+            setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+            
+            const exported = `Exported ${entries.length} ${entries.length === 1 ? 'comment' : 'comments'}`;
+            if (missingImportFields.length > 0) {
+                const labels = HISTORY.EXPORT_FIELDS.filter(field => missingImportFields.includes(field.name)).map(field => field.label);
+                updateStatus(`${exported}. Without ${labels.join(', ')} importing this file may skip or duplicate comments or lose engagement tracking.`, true);
+            } else {
+                updateStatus(exported);
+            }
+        } catch (error) {
+            logger.error('Error exporting history', error);
+            updateStatus(`Export failed: ${error.message}`, true);
+        }
+    }
+    
+    /**
+     * Restore history from a JSON export, skipping posts that are already in the history
+     * @param {File} file - The chosen JSON file
+     */
+    async function importHistory(file) {
+        try {
+            const data = JSON.parse(await file.text());
+            const entries = Array.isArray(data) ? data : data.entries;
+            if (!Array.isArray(entries)) {
+                throw new Error('This is not a comment history export');
+            }
+            
+            const { added, skipped } = await HISTORY.import(entries);
+            updateStatus(`Imported ${added} ${added === 1 ? 'comment' : 'comments'}${skipped ? `, skipped ${skipped} already in the history` : ''}`);
+            
+            authorFilter.length = 1; // Keep "All authors"
+            await loadAuthors();
+            render();
+        } catch (error) {
+            logger.error('Error importing history', error);
+            updateStatus(`Import failed: ${error.message}`, true);
+        }
+    }
+    
+    // Start initialization
+    addOptions(toneFilter, SETTINGS.TONES);
+    addOptions(statusFilter, HISTORY.STATUSES);
+    
+    let searchTimeout = null;
+    searchInput.addEventListener('input', () => {
+        clearTimeout(searchTimeout);
+        searchTimeout = setTimeout(render, 200);
+    });
+    [authorFilter, toneFilter, statusFilter, fromFilter, toFilter].forEach(filter => {
+        filter.addEventListener('change', render);
+    });
+    
+    HISTORY.EXPORT_FIELDS.forEach(field => {
+        const label = document.createElement('label');
+        label.className = 'checkbox';
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.value = field.name;
+        checkbox.checked = !UNCHECKED_EXPORT_FIELDS.includes(field.name);
+        label.appendChild(checkbox);
+        label.appendChild(document.createTextNode(field.label));
+        exportFields.appendChild(label);
+    });
+    
+    // JSON exports default to a complete backup, CSV reports to the fields picked above
+    exportAllFields.checked = exportFormat.value === 'json';
+    updateExportFields();
+    exportFormat.addEventListener('change', () => {
+        exportAllFields.checked = exportFormat.value === 'json';
+        updateExportFields();
+    });
+    exportAllFields.addEventListener('change', updateExportFields);
+    exportBtn.addEventListener('click', exportHistory);
+    importBtn.addEventListener('click', () => importFile.click());
+    importFile.addEventListener('change', () => {
+        if (importFile.files[0]) {
+            importHistory(importFile.files[0]);
+        }
+        importFile.value = '';
+    });
+    
+    loadAuthors();
+    render();
+});
@@ -121,20 +121,57 @@ const debug = {
  */
 const AI_MODELS = {
     /**
-     * Available AI models with their display names and API identifiers
+     * Available AI models with their display names and "provider:model" values.
+     * Starts with the built-in default and is replaced by the provider list from
+     * the background script once load() resolves.
      */
     MODELS: [
-        { value: 'shiv', label: 'Shiv AI 🚀', apiName: 'shiv' }
+        { value: SETTINGS.DEFAULTS.defaultModel, label: 'Shiv AI 🚀', provider: 'shiv' }
     ],
     
+    /**
+     * Providers that could not be reached on the last load, as { provider, error }
+     */
+    UNAVAILABLE: [],
+    
+    /**
+     * Fetch the models offered by the configured providers
+     * @returns {Promise<Array>} The available models
+     */
+    load: async function() {
+        try {
+            const response = await chrome.runtime.sendMessage({ action: 'listModels' });
+            if (response && response.success) {
+                if (response.models.length > 0) {
+                    this.MODELS = response.models;
+                }
+                this.UNAVAILABLE = response.unavailable || [];
+            }
+        } catch (error) {
+            debug.error('Error loading AI models', error);
+        }
+        return this.MODELS;
+    },
+    
     /**
      * Get API name for a given model value
      * @param {string} modelValue - The model value from dropdown
-     * @returns {string} The corresponding API model name
+     * @returns {string} The model name without its provider prefix
      */
     getApiName: function(modelValue) {
-        const model = this.MODELS.find(m => m.value === modelValue);
-        return model ? model.apiName : 'shiv'; // Default to shiv if not found
+        const model = this.MODELS.find(m => m.value === modelValue) || this.MODELS[0];
+        return model.value.split(':').slice(1).join(':');
+    },
+    
+    /**
+     * Get the reason a model's provider is unreachable
+     * @param {string} modelValue - A "provider:model" value
+     * @returns {string|null} The error message, or null if the provider is available
+     */
+    getUnavailableReason: function(modelValue) {
+        const providerId = (modelValue || '').split(':')[0];
+        const entry = this.UNAVAILABLE.find(u => u.provider === providerId);
+        return entry ? entry.error : null;
     },
     
     /**
@@ -144,49 +181,42 @@ const AI_MODELS = {
      */
     getDisplayLabel: function(modelValue) {
         const model = this.MODELS.find(m => m.value === modelValue);
-        return model ? model.label : 'Shiv AI 🚀'; // Default to Shiv AI if not found
+        return model ? model.label : this.MODELS[0].label; // Default to the first model if not found
     }
 };
 
 /**
  * Generates a comment by calling the API via background script (to bypass CORS)
  * 
- * @param {string} content - The content of the post to generate a comment for
+ * @param {Object} post - Structured post content from extractPostContent
  * @param {string} hint - Optional hint to guide comment generation
  * @param {string} tone - Optional tone for the comment (professional, friendly, etc.)
- * @param {string} model - Optional model to use for generation (not used with custom AI)
+ * @param {string} model - Optional model to use for generation, in "provider:model" form
+ * @param {Object} options - Optional { commenter, template, onChunk(text, fullText), signal, requestKey }:
+ *                           the signed-in user's name and the prompt template ID fill the prompt,
+ *                           the rest receive partial text and cancel; requests sharing a requestKey can be
+ *                           cancelled together with GENERATION.cancel
  * @returns {Promise<string>} The generated comment
  * @throws {Error} If API call fails or response is invalid
  */
-async function generateCommentAPI(content, hint, tone, model) {
+async function generateCommentAPI(post, hint, tone, model, { commenter = '', template = null, onChunk = null, signal = null, requestKey = null } = {}) {
     try {
-        debug.log('Sending comment generation request to background script');
-        
-        // Send message to background script to make the API call
-        const response = await new Promise((resolve, reject) => {
-            chrome.runtime.sendMessage({
-                action: 'generateComment',
-                data: {
-                    content: content,
-                    hint: hint || '',
-                    tone: tone || 'professional',
-                    model: model || 'shiv'
-                }
-            }, (response) => {
-                if (chrome.runtime.lastError) {
-                    reject(new Error(chrome.runtime.lastError.message));
-                } else {
-                    resolve(response);
-                }
-            });
-        });
-        
-        if (!response.success) {
-            throw new Error(response.error || 'Unknown error occurred');
-        }
+        debug.log('Streaming comment generation request from background script');
+        
+        // Stream the comment over a port so text shows up while the model is writing
+        const comment = await GENERATION.stream({
+            content: post.text,
+            post: post,
+            hint: hint || '',
+            tone: tone || 'professional',
+            model: model || SETTINGS.DEFAULTS.defaultModel,
+            commenter: commenter,
+            template: template,
+            requestKey: requestKey
+        }, { onChunk, signal });
         
         debug.log('Successfully received comment from background script');
-        return response.comment;
+        return comment;
     } catch (error) {
         debug.error('Error calling comment generation API via background script', error);
         throw error;
@@ -196,9 +226,12 @@ async function generateCommentAPI(content, hint, tone, model) {
 /**
  * Retrieves information about the currently logged-in LinkedIn user
  * 
+ * @param {Object} options - Lookup options
+ * @param {boolean} options.passive - Only read what is already rendered or cached: never open
+ *                                    the Me menu or save to localStorage, for work the user did not start
  * @returns {Promise<Object>} User information including id, name, email, and profileUrl
  */
-async function getUserInfo() {
+async function getUserInfo({ passive = false } = {}) {
     try {
         const userInfo = {
             id: null,
@@ -224,7 +257,7 @@ async function getUserInfo() {
         }
 
         // Method 2: Get from the Me dropdown menu
-        if (!userInfo.profileUrl) {
+        if (!userInfo.profileUrl && !passive) {
             const meMenu = document.querySelector('button[aria-label="Me"], button[data-control-name="nav.settings_dropdown"]');
             if (meMenu) {
                 // Click to open the menu
@@ -273,7 +306,13 @@ async function getUserInfo() {
         // Method 4: Get from data attributes in the DOM
         if (!userInfo.id) {
             // LinkedIn often stores member ID in data attributes
-            const memberElements = document.querySelectorAll('[data-urn*="urn:li:member:"], [data-entity-urn*="urn:li:member:"]');
+            // Only the nav and identity card describe the signed-in user, posts and comments carry other members' URNs
+            const memberElements = document.querySelectorAll([
+                '#global-nav [data-urn*="urn:li:member:"]',
+                '#global-nav [data-entity-urn*="urn:li:member:"]',
+                '.feed-identity-module [data-urn*="urn:li:member:"]',
+                '.feed-identity-module [data-entity-urn*="urn:li:member:"]'
+            ].join(', '));
             for (const element of memberElements) {
                 const urn = element.getAttribute('data-urn') || element.getAttribute('data-entity-urn');
                 if (urn) {
@@ -353,7 +392,7 @@ async function getUserInfo() {
         }
 
         // Save the user info we found to localStorage for future use
-        if (userInfo.id || userInfo.profileUrl) {
+        if ((userInfo.id || userInfo.profileUrl) && !passive) {
             try {
                 localStorage.setItem('linkedin-comment-generator-user-info', JSON.stringify(userInfo));
             } catch (e) {
@@ -412,14 +451,35 @@ function generateCommentLocally(postContent, hint) {
         .replace('{hint_text}', hintText);
 }
 
+// The signed-in user's info, looked up once per page for the voice profile
+let userInfoLoaded = null;
+
+// Get the signed-in user for background work, without touching LinkedIn's UI
+// Reuses a lookup the user already triggered, otherwise reads only what the page shows
+function getKnownUserInfo() {
+    return userInfoLoaded || getUserInfo({ passive: true });
+}
+
 // Track which posts have been processed and the active comment UI
 let processedPostIds = new Set(); // Use post IDs instead of objects
 let activeCommentUI = null;
+let lastInteractedPost = null;
+
+// Remove a comment panel, cancelling any generation it is still waiting for
+function closeCommentUI(commentUI) {
+    if (commentUI.cancelGeneration) {
+        commentUI.cancelGeneration();
+    }
+    commentUI.remove();
+    if (activeCommentUI === commentUI) {
+        activeCommentUI = null;
+    }
+}
 
 // Function to get a unique ID for a post
 function getPostId(post) {
-    // Try to get data-urn attribute which is typically unique for posts
-    const urn = post.getAttribute('data-urn');
+    // Prefer the post's URN, which is unique and survives feed re-renders
+    const urn = getPostUrn(post);
     if (urn) return `urn-${urn}`;
     
     // If no urn, try to find an id attribute
@@ -427,7 +487,7 @@ function getPostId(post) {
     if (id) return `id-${id}`;
     
     // Try to find any unique content
-    const uniqueText = extractPostContent(post).slice(0, 40).replace(/\s+/g, '-');
+    const uniqueText = findPostText(post).text.slice(0, 40).replace(/\s+/g, '-');
     if (uniqueText && uniqueText !== 'LinkedIn-post') {
         return `content-${uniqueText}`;
     }
@@ -486,10 +546,8 @@ function hasContent(post) {
     return false;
 }
 
-// Simple function to extract content from a post
-function extractPostContent(post) {
-    debug.log('Extracting content from post', post);
-    
+// Find the element holding a post's text and the text itself
+function findPostText(post) {
     // Try to find the main post content using more specific LinkedIn selectors first
     const contentSelectors = [
         '.feed-shared-update-v2__description-wrapper', 
@@ -510,7 +568,7 @@ function extractPostContent(post) {
             const text = element.textContent.trim();
             if (text.length > 10) { // More permissive length check
                 debug.log('Found post content using selector', { selector, text });
-                return text;
+                return { element, text };
             }
         }
     }
@@ -518,26 +576,430 @@ function extractPostContent(post) {
     // Fallback: Look for any text content with reasonable length
     debug.log('Falling back to generic content extraction');
     const textElements = post.querySelectorAll('span, p, div');
-    let content = '';
     
     for (const element of textElements) {
         const text = element.textContent.trim();
         // More permissive check - don't exclude elements with children
         if (text.length > 30) {
-            content = text;
-            debug.log('Found content through fallback method', content);
-            break;
+            debug.log('Found content through fallback method', text);
+            return { element, text };
+        }
+    }
+    
+    return { element: null, text: '' };
+}
+
+// Read the visible text of an element, skipping LinkedIn's duplicate screen reader copy
+function getVisibleText(element) {
+    if (!element) return null;
+    
+    const visible = element.querySelector('span[aria-hidden="true"]');
+    const text = (visible || element).textContent.trim().replace(/\s+/g, ' ');
+    return text || null;
+}
+
+// Turn a count such as "1,234", "1.2K" or "15 comments" into a number
+function parseCount(text) {
+    if (!text) return null;
+    
+    const match = text.replace(/,/g, '').match(/(\d+(?:\.\d+)?)\s*([KM])?/i);
+    if (!match) return null;
+    
+    const multiplier = { k: 1000, m: 1000000 }[(match[2] || '').toLowerCase()] || 1;
+    return Math.round(parseFloat(match[1]) * multiplier);
+}
+
+// Work out what kind of media a post carries
+function getPostMediaType(post) {
+    const mediaTypes = [
+        { type: 'video', selector: '.update-components-linkedin-video, .feed-shared-linkedin-video, .feed-shared-external-video, video' },
+        { type: 'document', selector: '.update-components-document, .feed-shared-document' },
+        { type: 'poll', selector: '.update-components-poll, .feed-shared-poll' },
+        { type: 'article', selector: '.update-components-article, .feed-shared-article, .feed-shared-mini-article' },
+        { type: 'image', selector: '.update-components-image, .feed-shared-image, .feed-shared-image__container' }
+    ];
+    
+    const match = mediaTypes.find(({ selector }) => post.querySelector(selector));
+    return match ? match.type : 'text';
+}
+
+// Extract the structured content of a post: author, text, reshared post, article, media, tags and counts
+function extractPostContent(post) {
+    debug.log('Extracting content from post', post);
+    
+    // The original post of a reshare is nested inside the resharing post
+    const resharedElement = post.querySelector('.update-components-mini-update-v2, .feed-shared-mini-update-v2');
+    let reshared = null;
+    if (resharedElement) {
+        const resharedAuthor = resharedElement.querySelector('.update-components-actor__name, .update-components-actor__title, .feed-shared-actor__name');
+        const resharedText = findPostText(resharedElement).text;
+        if (resharedText) {
+            reshared = {
+                authorName: getVisibleText(resharedAuthor),
+                text: resharedText
+            };
         }
     }
     
-    if (!content) {
+    const { element: textElement, text } = findPostText(post);
+    
+    const articleLink = post.querySelector('.update-components-article a[href], .feed-shared-article a[href], .feed-shared-mini-article a[href]');
+    const articleTitle = post.querySelector('.update-components-article__title, .feed-shared-article__title');
+    const article = articleLink || articleTitle ? {
+        title: getVisibleText(articleTitle),
+        url: articleLink ? articleLink.href : null
+    } : null;
+    
+    // Hashtags and mentions are links inside the post text
+    const links = textElement ? Array.from(textElement.querySelectorAll('a[href]')) : [];
+    const hashtags = links
+        .filter(link => link.href.includes('/feed/hashtag/') || link.textContent.trim().startsWith('#'))
+        .map(link => link.textContent.trim().replace(/^hashtag\s*/i, ''));
+    const mentions = links
+        .filter(link => /\/(in|company)\//.test(link.href))
+        .map(link => link.textContent.trim());
+    
+    const timestampElement = post.querySelector('.update-components-actor__sub-description, .feed-shared-actor__sub-description');
+    const timestamp = timestampElement ? (getVisibleText(timestampElement) || '').split('•')[0].trim() || null : null;
+    
+    const reactionsElement = post.querySelector('.social-details-social-counts__reactions-count, .social-details-social-counts__social-proof-fallback-number');
+    const commentsElement = post.querySelector('.social-details-social-counts__comments, button[aria-label*="comments" i]');
+    
+    const content = {
+        author: getPostAuthor(post),
+        timestamp,
+        text: text || 'LinkedIn post',
+        reshared,
+        article,
+        mediaType: getPostMediaType(post),
+        hashtags: [...new Set(hashtags)],
+        mentions: [...new Set(mentions)],
+        reactionCount: reactionsElement ? parseCount(reactionsElement.textContent) : null,
+        commentCount: commentsElement ? parseCount(commentsElement.textContent) : null
+    };
+    
+    if (!text) {
         debug.log('No suitable content found in post, using default text');
-        return 'LinkedIn post';
     }
     
+    debug.log('Extracted post content', content);
+    return content;
+}
+
+// Remember the scroll position and focused element, returning a function that puts them back
+// Used when clicking LinkedIn's own buttons changes the layout under the user
+function preserveView() {
+    const scrollX = window.scrollX;
+    const scrollY = window.scrollY;
+    const activeElement = document.activeElement;
+    
+    return () => {
+        window.scrollTo(scrollX, scrollY);
+        if (activeElement && activeElement !== document.activeElement && activeElement.focus) {
+            activeElement.focus({ preventScroll: true });
+        }
+    };
+}
+
+// Expand a truncated post ("…see more") so its whole text is in the DOM, without scrolling or moving focus
+// Returns a function that collapses the post again
+async function expandPostText(post) {
+    const toggles = Array.from(post.querySelectorAll('.feed-shared-inline-show-more-text__see-more-less-toggle, .feed-shared-inline-show-more-text button'))
+        .filter(button => button.getAttribute('aria-expanded') !== 'true' && /more/i.test(button.textContent));
+    
+    if (toggles.length === 0) {
+        return () => {};
+    }
+    
+    // Expanding changes the layout, so keep the viewport and the focused element where they were
+    const restoreView = preserveView();
+    
+    debug.log('Expanding truncated post text', toggles.length);
+    toggles.forEach(button => button.click());
+    restoreView();
+    
+    // Give LinkedIn a moment to render the rest of the text
+    await new Promise(resolve => setTimeout(resolve, 300));
+    restoreView();
+    
+    return () => {
+        toggles.forEach(button => {
+            // LinkedIn turns the same toggle into "see less"; if it disappeared the post stays expanded
+            if (button.isConnected && button.getAttribute('aria-expanded') === 'true') {
+                button.click();
+            }
+        });
+        restoreView();
+    };
+}
+
+// Comments and replies under a post (older and current LinkedIn markup)
+const COMMENT_ITEM_SELECTOR = '.comments-comment-item, .comments-comment-entity';
+
+// Read the author and text of a single comment
+function readComment(commentElement) {
+    const textElement = commentElement.querySelector('.comments-comment-item__main-content, .comments-comment-item-content-body, .update-components-text');
+    return {
+        authorName: getVisibleText(commentElement.querySelector('.comments-post-meta__name-text, .comments-comment-meta__description-title')),
+        text: textElement ? textElement.textContent.trim().replace(/\s+/g, ' ') : ''
+    };
+}
+
+// Get the top-level comment a reply belongs to (a top-level comment returns itself)
+function getTopLevelComment(commentElement) {
+    const parentComment = commentElement.parentElement && commentElement.parentElement.closest(COMMENT_ITEM_SELECTOR);
+    return parentComment || commentElement;
+}
+
+// Read the top comments already shown under a post, skipping replies
+function extractPostComments(post, limit) {
+    const commentElements = Array.from(post.querySelectorAll(COMMENT_ITEM_SELECTOR))
+        .filter(element => getTopLevelComment(element) === element);
+    
+    return commentElements
+        .map(readComment)
+        .filter(comment => comment.text)
+        .slice(0, limit);
+}
+
+// Describe the comment being replied to and the rest of its thread
+function extractCommentThread(commentElement) {
+    const MAX_THREAD_COMMENTS = 10;
+    const topLevel = getTopLevelComment(commentElement);
+    
+    // The thread is the top-level comment plus its replies, without the comment being replied to
+    const thread = [topLevel, ...topLevel.querySelectorAll(COMMENT_ITEM_SELECTOR)]
+        .filter(element => element !== commentElement)
+        .map(readComment)
+        .filter(comment => comment.text)
+        .slice(0, MAX_THREAD_COMMENTS);
+    
+    return { ...readComment(commentElement), thread };
+}
+
+// Get a unique ID for a comment, used to key its reply generations
+function getCommentId(commentElement) {
+    const id = commentElement.getAttribute('data-id');
+    if (id) return `comment-${id}`;
+    
+    return `comment-${readComment(commentElement).text.slice(0, 40).replace(/\s+/g, '-')}`;
+}
+
+// Find LinkedIn's own Reply button for a comment, ignoring the buttons of nested replies
+function findCommentReplyButton(commentElement) {
+    return Array.from(commentElement.querySelectorAll('button'))
+        .find(button => {
+            if (button.closest(COMMENT_ITEM_SELECTOR) !== commentElement) return false;
+            if (button.classList.contains('linkedin-comment-generator-reply-button')) return false;
+            
+            const label = `${button.getAttribute('aria-label') || ''} ${button.textContent}`.toLowerCase();
+            return label.includes('reply') && !label.includes('replies');
+        }) || null;
+}
+
+// Click "Load more comments" under a post and wait for the new comments to render
+async function loadMorePostComments(post) {
+    const loadMoreButton = post.querySelector('.comments-comments-list__load-more-comments-button, button[class*="load-more-comments"]');
+    if (!loadMoreButton) return;
+    
+    const restoreView = preserveView();
+    const countBefore = post.querySelectorAll(COMMENT_ITEM_SELECTOR).length;
+    loadMoreButton.click();
+    restoreView();
+    
+    // Wait up to two seconds for more comments to appear
+    for (let i = 0; i < 10; i++) {
+        await new Promise(resolve => setTimeout(resolve, 200));
+        if (post.querySelectorAll(COMMENT_ITEM_SELECTOR).length > countBefore) break;
+    }
+    restoreView();
+}
+
+// Extract a post's content after expanding truncated text, then collapse it again
+// Existing comments are added as context when the options page asks for them
+async function extractFullPostContent(post, settings = SETTINGS.DEFAULTS) {
+    const collapse = await expandPostText(post);
+    let content;
+    try {
+        content = extractPostContent(post);
+    } finally {
+        collapse();
+    }
+    
+    const commentLimit = Number(settings.contextCommentCount) || 0;
+    if (commentLimit > 0 && settings.loadMoreComments) {
+        await loadMorePostComments(post);
+    }
+    content.comments = commentLimit > 0 ? extractPostComments(post, commentLimit) : [];
+    
     return content;
 }
 
+// Get the name, headline and profile link of the post's author
+function getPostAuthor(post) {
+    const author = { name: null, headline: null, profileUrl: null };
+    
+    const nameElement = post.querySelector('.update-components-actor__name, .update-components-actor__title, .feed-shared-actor__name');
+    if (nameElement) {
+        // LinkedIn renders the name twice (visible + screen reader), prefer the visible copy
+        author.name = getVisibleText(nameElement);
+    }
+    
+    const headlineElement = post.querySelector('.update-components-actor__description, .feed-shared-actor__description');
+    author.headline = getVisibleText(headlineElement);
+    
+    const profileLink = post.querySelector('.update-components-actor__meta-link, .update-components-actor__container a[href*="/in/"], .update-components-actor__container a[href*="/company/"], .feed-shared-actor__container-link');
+    if (profileLink && profileLink.href) {
+        author.profileUrl = profileLink.href.split('?')[0];
+    }
+    
+    return author;
+}
+
+// Get a stable key for the post's author, used to remember per-author preferences
+function getAuthorKey(post) {
+    const author = getPostAuthor(post);
+    
+    if (author.profileUrl) {
+        const match = author.profileUrl.match(/\/(in|company)\/([^\/]+)/);
+        if (match) return `${match[1]}/${match[2]}`;
+    }
+    
+    return author.name ? author.name.toLowerCase() : null;
+}
+
+// Get the URN of a post, e.g. urn:li:activity:123, if LinkedIn exposes one
+function getPostUrn(post) {
+    const urnElement = post.matches('[data-urn^="urn:li:"]') ? post : post.querySelector('[data-urn^="urn:li:activity"], [data-urn^="urn:li:share"], [data-urn^="urn:li:ugcPost"]');
+    return urnElement ? urnElement.getAttribute('data-urn') : null;
+}
+
+// Post details stored with every comment history entry
+function getHistoryPostFields(post, postContent) {
+    const postUrn = getPostUrn(post);
+    return {
+        postUrn,
+        postUrl: postUrn ? `https://www.linkedin.com/feed/update/${postUrn}/` : window.location.href,
+        author: postContent.author.name || '',
+        authorProfileUrl: postContent.author.profileUrl || '',
+        postExcerpt: postContent.text.slice(0, 300)
+    };
+}
+
+// Store a comment history entry through the background script, which owns the extension's IndexedDB
+// Resolves with the entry ID, or null when history could not be written
+async function recordHistory(entry) {
+    try {
+        const response = await chrome.runtime.sendMessage({ action: 'addHistory', entry });
+        return response && response.success ? response.id : null;
+    } catch (error) {
+        debug.error('Error recording comment history', error);
+        return null;
+    }
+}
+
+// Update a comment history entry, e.g. once it was posted
+async function updateHistory(id, changes) {
+    try {
+        await chrome.runtime.sendMessage({ action: 'updateHistory', id, changes });
+    } catch (error) {
+        debug.error('Error updating comment history', error);
+    }
+}
+
+// Containers LinkedIn renders a whole post in, on the feed and on single-post pages
+const POST_CONTAINER_SELECTOR = '.feed-shared-update-v2, .occludable-update, .feed-shared-update';
+
+// Remember the post the user last clicked or typed in, so the popup can prefer it
+function trackPostInteraction(e) {
+    const post = e.target && e.target.closest ? e.target.closest(POST_CONTAINER_SELECTOR) : null;
+    if (post) {
+        lastInteractedPost = post;
+    }
+}
+
+// Check whether any part of an element is inside the viewport
+function isInViewport(element) {
+    const rect = element.getBoundingClientRect();
+    return rect.height > 0 && rect.bottom > 0 && rect.top < window.innerHeight;
+}
+
+// Find the post the user is looking at: the post of a permalink page, the post last
+// interacted with while it is still on screen, or else the post closest to the viewport center
+function findCurrentPost() {
+    const posts = Array.from(document.querySelectorAll(POST_CONTAINER_SELECTOR))
+        .filter(post => !post.parentElement || !post.parentElement.closest(POST_CONTAINER_SELECTOR)) // Outermost containers only
+        .filter(hasContent);
+    
+    if (posts.length === 0) {
+        debug.log('No posts found on the page');
+        return null;
+    }
+    
+    // Single-post pages: /feed/update/urn:li:activity:123/ (or share / ugcPost URNs)
+    // Generating for another post than the page shows would be worse than finding none
+    const permalinkMatch = decodeURIComponent(window.location.pathname).match(/\/feed\/update\/(urn:li:(?:activity|share|ugcPost):\d+)/);
+    if (permalinkMatch) {
+        const urn = permalinkMatch[1];
+        const post = posts.find(p => getPostUrn(p) === urn) || null;
+        debug.log(post ? 'Using post of permalink page' : 'Post of permalink page not found', urn);
+        return post;
+    }
+    
+    if (lastInteractedPost && lastInteractedPost.isConnected && isInViewport(lastInteractedPost)) {
+        debug.log('Using last interacted post');
+        return lastInteractedPost;
+    }
+    
+    const viewportCenter = window.innerHeight / 2;
+    let closestPost = null;
+    let closestDistance = Infinity;
+    
+    posts.filter(isInViewport).forEach(post => {
+        const rect = post.getBoundingClientRect();
+        // Posts taller than the viewport that span its center count as centered
+        const distance = rect.top <= viewportCenter && rect.bottom >= viewportCenter
+            ? 0
+            : Math.min(Math.abs(rect.top - viewportCenter), Math.abs(rect.bottom - viewportCenter));
+        if (distance < closestDistance) {
+            closestDistance = distance;
+            closestPost = post;
+        }
+    });
+    
+    debug.log('Using post closest to the viewport center', closestPost);
+    return closestPost;
+}
+
+// The post the popup was last opened for, { postId, element }
+let selectedPost = null;
+
+// Find a post on the page again from the ID getPostId gave it, e.g. the post the popup was opened for
+// Other IDs are not stable across feed re-renders, so without a URN only the element the popup
+// was opened for is trusted; null means posting would have to guess
+function findPostById(postId) {
+    if (postId.startsWith('urn-')) {
+        return Array.from(document.querySelectorAll(POST_CONTAINER_SELECTOR))
+            .find(post => getPostUrn(post) === postId.slice('urn-'.length)) || null;
+    }
+    
+    return selectedPost && selectedPost.postId === postId && selectedPost.element.isConnected
+        ? selectedPost.element
+        : null;
+}
+
+// Short description of a post shown above its text in the popup
+function getPostCaption(postContent) {
+    const name = postContent.author.name;
+    if (!name) return '';
+    
+    const parts = [postContent.reshared ? `${name} reshared` : name];
+    if (postContent.timestamp) {
+        parts.push(postContent.timestamp);
+    }
+    return parts.join(' • ');
+}
+
 // Check if a post is commentable (has comment functionality)
 function isCommentable(post) {
     // Check for the presence of a comment button
@@ -572,94 +1034,20 @@ function isCommentable(post) {
     return false;
 }
 
-// Create settings UI for the extension
-function createSettingsUI() {
-    const container = document.createElement('div');
-    container.className = 'linkedin-comment-generator-settings';
-    container.style.cssText = `
-        position: fixed;
-        top: 50%;
-        left: 50%;
-        transform: translate(-50%, -50%);
-        padding: 20px;
-        background: white;
-        border: 2px solid #0a66c2;
-        border-radius: 8px;
-        box-shadow: 0 4px 12px rgba(0,0,0,0.15);
-        z-index: 9999;
-        width: 400px;
-        max-width: 90vw;
-    `;
-    
-    const heading = document.createElement('h3');
-    heading.textContent = 'LinkedIn Comment Generator Settings';
-    heading.style.cssText = `
-        margin: 0 0 16px 0;
-        font-size: 18px;
-        color: #0a66c2;
-    `;
-    
-    const infoText = document.createElement('p');
-    infoText.textContent = 'This extension is using a custom AI server (Shiv AI) for generating comments.';
-    infoText.style.cssText = `
-        margin-bottom: 16px;
-        font-size: 14px;
-        color: #666;
-    `;
-    
-    const formatInfo = document.createElement('div');
-    formatInfo.innerHTML = `
-        <p style="font-size: 12px; color: #666; margin-top: 0;">
-            API request format:
-            <code style="display: block; background: #f5f5f5; padding: 8px; margin: 8px 0; border-radius: 4px; font-family: monospace;">
-            {
-              "gemini-pro": "prompt text with post content and instructions"
-            }
-            </code>
-            
-            API response format:
-            <code style="display: block; background: #f5f5f5; padding: 8px; margin: 8px 0; border-radius: 4px; font-family: monospace;">
-            Generated comment text (string or object with text field)
-            </code>
-        </p>
-    `;
-    
-    const buttonContainer = document.createElement('div');
-    buttonContainer.style.cssText = `
-        display: flex;
-        justify-content: flex-end;
-        gap: 8px;
-    `;
-    
-    const closeBtn = document.createElement('button');
-    closeBtn.textContent = 'Close';
-    closeBtn.style.cssText = `
-        padding: 8px 16px;
-        border: none;
-        border-radius: 16px;
-        background-color: #0a66c2;
-        color: white;
-        cursor: pointer;
-        font-weight: 600;
-        font-size: 14px;
-    `;
-    
-    closeBtn.addEventListener('click', () => {
-        container.remove();
-    });
-    
-    buttonContainer.appendChild(closeBtn);
-    
-    container.appendChild(heading);
-    container.appendChild(infoText);
-    container.appendChild(formatInfo);
-    container.appendChild(buttonContainer);
-    
-    document.body.appendChild(container);
-}
-
 // Create a comment UI that appears when the generate button is clicked
-function createCommentUI(post, generateButton) {
+// With a replyTarget comment element the panel writes and posts a reply to that comment instead
+function createCommentUI(post, generateButton, replyTarget = null) {
+    // Post button label, restored after temporary states
+    const postButtonLabel = replyTarget
+        ? '<span style="margin-right: 6px;">↩️</span> Post Reply'
+        : '<span style="margin-right: 6px;">💬</span> Post Comment';
+    const draftButtonLabel = '<span style="margin-right: 6px;">📝</span> Insert as draft';
+    
+    // Defaults from the options page and the last selections are applied once they load
+    const authorKey = getAuthorKey(post);
+    const settingsLoaded = SETTINGS.load();
+    const lastUsedLoaded = SETTINGS.loadLastUsed(authorKey);
+    
     const container = document.createElement('div');
     container.className = 'linkedin-comment-generator-ui';
     container.style.cssText = `
@@ -705,7 +1093,7 @@ function createCommentUI(post, generateButton) {
             <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="#0a66c2" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
                 <path d="M12 2l3.09 6.26L22 9.27l-5 4.87 1.18 6.88L12 17.77l-6.18 3.25L7 14.14 2 9.27l6.91-1.01L12 2z"/>
             </svg>
-            AI Comment Generator
+            ${replyTarget ? 'AI Reply Generator' : 'AI Comment Generator'}
         </span>
     `;
     heading.style.cssText = `
@@ -750,6 +1138,14 @@ function createCommentUI(post, generateButton) {
         hintInput.style.boxShadow = 'none';
         hintInput.style.transform = 'translateY(0)';
     });
+    
+    // Restore the hint used last time for this author (or globally)
+    lastUsedLoaded.then(lastUsed => {
+        if (lastUsed && lastUsed.hint && !hintInput.value) {
+            hintInput.value = lastUsed.hint;
+            hintInput.style.display = 'block';
+        }
+    });
 
     // Add tone dropdown
     const toneContainer = document.createElement('div');
@@ -833,26 +1229,29 @@ function createCommentUI(post, generateButton) {
         align-items: center;
     `;
 
-    // Add tone options
-    const tones = [
-        { value: 'professional', label: 'Professional 💼' },
-        { value: 'supportive', label: 'Supportive 🤝' },
-        { value: 'friendly', label: 'Friendly 😊' },
-        { value: 'inquisitive', label: 'Inquisitive ❓' },
-        { value: 'cheerful', label: 'Cheerful 🎉' },
-        { value: 'funny', label: 'Funny 😂' }
-    ];
-
     // Add options to the native select
-    tones.forEach(tone => {
+    SETTINGS.TONES.forEach(tone => {
         const option = document.createElement('option');
         option.value = tone.value;
         option.textContent = tone.label;
-        if (tone.value === 'professional') {
+        if (tone.value === SETTINGS.DEFAULTS.defaultTone) {
             option.selected = true;
         }
         toneSelect.appendChild(option);
     });
+    
+    // Switch to the last used tone (or the default from the options page) unless the user already picked one
+    let toneTouched = false;
+    toneSelect.addEventListener('change', () => {
+        toneTouched = true;
+    });
+    
+    Promise.all([settingsLoaded, lastUsedLoaded]).then(([settings, lastUsed]) => {
+        const preferredTone = (lastUsed && lastUsed.tone) || settings.defaultTone;
+        if (toneTouched || !SETTINGS.TONES.some(tone => tone.value === preferredTone)) return;
+        toneSelect.value = preferredTone;
+        displayText.textContent = toneSelect.options[toneSelect.selectedIndex].textContent;
+    });
 
     // Update display when select changes
     toneSelect.addEventListener('change', () => {
@@ -949,7 +1348,7 @@ function createCommentUI(post, generateButton) {
     // Text element inside model display
     const modelDisplayText = document.createElement('span');
     modelDisplayText.className = 'dropdown-display-text';
-    modelDisplayText.textContent = 'Shiv AI 🚀'; // Default value
+    modelDisplayText.textContent = AI_MODELS.getDisplayLabel(SETTINGS.DEFAULTS.defaultModel); // Default value
     modelDisplayText.style.cssText = `
         flex: 1;
         overflow: hidden;
@@ -966,15 +1365,53 @@ function createCommentUI(post, generateButton) {
         align-items: center;
     `;
 
-    // Add model options
-    AI_MODELS.MODELS.forEach(model => {
-        const option = document.createElement('option');
-        option.value = model.value;
-        option.textContent = model.label;
-        if (model.value === 'shiv') {
-            option.selected = true;
+    // Add model options, keeping the current selection when the list is refreshed
+    const renderModelOptions = (selectedValue) => {
+        modelSelect.innerHTML = '';
+        AI_MODELS.MODELS.forEach(model => {
+            const option = document.createElement('option');
+            option.value = model.value;
+            option.textContent = model.label;
+            if (model.value === selectedValue) {
+                option.selected = true;
+            }
+            modelSelect.appendChild(option);
+        });
+        modelDisplayText.textContent = AI_MODELS.getDisplayLabel(modelSelect.value);
+    };
+    
+    renderModelOptions(SETTINGS.DEFAULTS.defaultModel);
+    
+    // Shown when the preferred provider (e.g. a local server) cannot be reached
+    const modelNotice = document.createElement('div');
+    modelNotice.className = 'linkedin-comment-generator-model-notice';
+    modelNotice.style.cssText = `
+        display: none;
+        margin-top: 8px;
+        padding: 8px 12px;
+        border-radius: 8px;
+        background: #fff4e5;
+        color: #b45309;
+        font-size: 12px;
+        line-height: 1.4;
+    `;
+    
+    let modelTouched = false;
+    modelSelect.addEventListener('change', () => {
+        modelTouched = true;
+    });
+    
+    // Replace the built-in list with the models the background providers offer and
+    // select the last used model (or the default from the options page)
+    Promise.all([AI_MODELS.load(), settingsLoaded, lastUsedLoaded]).then(([, settings, lastUsed]) => {
+        const preferredModel = (lastUsed && lastUsed.model) || settings.defaultModel;
+        renderModelOptions(modelTouched ? modelSelect.value : preferredModel);
+        
+        const unavailableReason = AI_MODELS.getUnavailableReason(preferredModel);
+        if (unavailableReason) {
+            modelNotice.textContent = `⚠️ ${unavailableReason}`;
+            modelNotice.style.display = 'block';
         }
-        modelSelect.appendChild(option);
     });
 
     // Update display when model select changes
@@ -1006,34 +1443,172 @@ function createCommentUI(post, generateButton) {
 
     modelContainer.appendChild(modelLabel);
     modelContainer.appendChild(modelCustomDropdown);
+    modelContainer.appendChild(modelNotice);
     
-    const commentBox = document.createElement('textarea');
-    commentBox.placeholder = 'Your AI-generated comment will appear here...';
-    commentBox.style.cssText = `
+    // Add prompt template dropdown, only shown when more than one template exists
+    const templateContainer = document.createElement('div');
+    templateContainer.className = 'linkedin-comment-generator-template-container';
+    templateContainer.style.cssText = `
+        display: none;
+        margin-bottom: 14px;
+        position: relative;
         width: 100%;
-        min-height: 140px;
-        padding: 18px;
-        border: 2px solid #e1e9ee;
-        border-radius: 12px;
-        font-size: 14px;
-        line-height: 1.6;
-        resize: vertical;
-        box-sizing: border-box;
-        background: linear-gradient(135deg, #ffffff 0%, #f8fafb 100%);
-        transition: all 0.3s cubic-bezier(0.4, 0, 0.2, 1);
-        font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Helvetica, Arial, sans-serif;
-        color: #191919;
     `;
     
-    // Create a container for the textarea and copy button
-    const commentBoxContainer = document.createElement('div');
-    commentBoxContainer.style.cssText = `
-        position: relative;
-        width: 100%;
+    const templateLabel = document.createElement('label');
+    templateLabel.innerHTML = '<span style="margin-right: 4px;">📝</span> Template:';
+    templateLabel.style.cssText = `
+        display: block;
         margin-bottom: 8px;
+        font-size: 13px;
+        color: #5f6368;
+        font-weight: 600;
+        text-transform: uppercase;
+        letter-spacing: 0.5px;
     `;
     
-    // Add copy button icon in textarea
+    // Custom dropdown container for template
+    const templateCustomDropdown = document.createElement('div');
+    templateCustomDropdown.className = 'custom-dropdown';
+    templateCustomDropdown.style.cssText = `
+        position: relative;
+        width: 100%;
+    `;
+    
+    // Hidden native select element for template
+    const templateSelect = document.createElement('select');
+    templateSelect.className = 'linkedin-comment-generator-template-select';
+    templateSelect.style.cssText = `
+        position: absolute;
+        top: 0;
+        left: 0;
+        width: 100%;
+        height: 100%;
+        opacity: 0;
+        cursor: pointer;
+        z-index: 1;
+    `;
+    
+    // Custom display element for template
+    const templateCustomDropdownDisplay = document.createElement('div');
+    templateCustomDropdownDisplay.className = 'custom-dropdown-display';
+    templateCustomDropdownDisplay.style.cssText = `
+        padding: 12px 16px;
+        border: 2px solid #e1e9ee;
+        border-radius: 10px;
+        font-size: 14px;
+        background: white;
+        font-weight: 600;
+        color: #191919;
+        line-height: 1.3;
+        display: flex;
+        justify-content: space-between;
+        align-items: center;
+        cursor: pointer;
+        transition: all 0.3s cubic-bezier(0.4, 0, 0.2, 1);
+    `;
+    
+    // Text element inside template display
+    const templateDisplayText = document.createElement('span');
+    templateDisplayText.className = 'dropdown-display-text';
+    templateDisplayText.style.cssText = `
+        flex: 1;
+        overflow: hidden;
+        text-overflow: ellipsis;
+        white-space: nowrap;
+    `;
+    
+    // Arrow element for template
+    const templateDisplayArrow = document.createElement('span');
+    templateDisplayArrow.innerHTML = `<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polyline points="6 9 12 15 18 9"></polyline></svg>`;
+    templateDisplayArrow.style.cssText = `
+        margin-left: 8px;
+        display: flex;
+        align-items: center;
+    `;
+    
+    let templateTouched = false;
+    templateSelect.addEventListener('change', () => {
+        templateTouched = true;
+    });
+    
+    // Fill in the templates from the options page and select the last used one (or the default template)
+    Promise.all([settingsLoaded, lastUsedLoaded]).then(([settings, lastUsed]) => {
+        const templates = settings.promptTemplates || [];
+        const preferredTemplate = SETTINGS.getTemplate(settings, templateTouched ? templateSelect.value : lastUsed && lastUsed.template);
+        
+        templateSelect.innerHTML = '';
+        templates.forEach(template => {
+            const option = document.createElement('option');
+            option.value = template.id;
+            option.textContent = template.name;
+            if (template.id === preferredTemplate.id) {
+                option.selected = true;
+            }
+            templateSelect.appendChild(option);
+        });
+        
+        templateDisplayText.textContent = preferredTemplate.name;
+        templateContainer.style.display = templates.length > 1 ? 'block' : 'none';
+    });
+    
+    // Update display when template select changes
+    templateSelect.addEventListener('change', () => {
+        const selectedOption = templateSelect.options[templateSelect.selectedIndex];
+        templateDisplayText.textContent = selectedOption.textContent;
+        templateCustomDropdownDisplay.style.borderColor = '#e0e0e0';
+        templateCustomDropdownDisplay.style.boxShadow = 'none';
+    });
+    
+    // Handle focus/blur states for template custom dropdown
+    templateSelect.addEventListener('focus', () => {
+        templateCustomDropdownDisplay.style.borderColor = '#0a66c2';
+        templateCustomDropdownDisplay.style.boxShadow = '0 0 0 3px rgba(10, 102, 194, 0.15)';
+        templateCustomDropdownDisplay.style.transform = 'translateY(-1px)';
+    });
+    
+    templateSelect.addEventListener('blur', () => {
+        templateCustomDropdownDisplay.style.borderColor = '#e1e9ee';
+        templateCustomDropdownDisplay.style.boxShadow = 'none';
+        templateCustomDropdownDisplay.style.transform = 'translateY(0)';
+    });
+    
+    // Assemble template custom dropdown
+    templateCustomDropdownDisplay.appendChild(templateDisplayText);
+    templateCustomDropdownDisplay.appendChild(templateDisplayArrow);
+    templateCustomDropdown.appendChild(templateCustomDropdownDisplay);
+    templateCustomDropdown.appendChild(templateSelect);
+    
+    templateContainer.appendChild(templateLabel);
+    templateContainer.appendChild(templateCustomDropdown);
+    
+    const commentBox = document.createElement('textarea');
+    commentBox.placeholder = 'Your AI-generated comment will appear here...';
+    commentBox.style.cssText = `
+        width: 100%;
+        min-height: 140px;
+        padding: 18px;
+        border: 2px solid #e1e9ee;
+        border-radius: 12px;
+        font-size: 14px;
+        line-height: 1.6;
+        resize: vertical;
+        box-sizing: border-box;
+        background: linear-gradient(135deg, #ffffff 0%, #f8fafb 100%);
+        transition: all 0.3s cubic-bezier(0.4, 0, 0.2, 1);
+        font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Helvetica, Arial, sans-serif;
+        color: #191919;
+    `;
+    
+    // Create a container for the textarea and copy button
+    const commentBoxContainer = document.createElement('div');
+    commentBoxContainer.style.cssText = `
+        position: relative;
+        width: 100%;
+        margin-bottom: 8px;
+    `;
+    
+    // Add copy button icon in textarea
     const copyButton = document.createElement('button');
     copyButton.innerHTML = `<svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><rect x="9" y="9" width="13" height="13" rx="2" ry="2"></rect><path d="M5 15H4a2 2 0 0 1-2-2V4a2 2 0 0 1 2-2h9a2 2 0 0 1 2 2v1"></path></svg>`;
     copyButton.title = "Copy comment to clipboard";
@@ -1107,6 +1682,158 @@ function createCommentUI(post, generateButton) {
     commentBoxContainer.appendChild(commentBox);
     commentBoxContainer.appendChild(copyButton);
     
+    // How many existing comments were sent along as context
+    const contextInfo = document.createElement('div');
+    contextInfo.className = 'linkedin-comment-generator-context-info';
+    contextInfo.style.cssText = `
+        display: none;
+        margin-bottom: 8px;
+        font-size: 12px;
+        color: #5f6368;
+    `;
+    
+    const showCommentContext = (count) => {
+        settingsLoaded.then(settings => {
+            if (!Number(settings.contextCommentCount)) return;
+            contextInfo.textContent = count > 0
+                ? `💬 Considered ${count} existing comment${count === 1 ? '' : 's'}`
+                : '💬 No existing comments to consider';
+            contextInfo.style.display = 'block';
+        });
+    };
+    
+    // Every generated candidate is kept as a card so earlier versions survive regenerating
+    const MAX_CANDIDATES = 10;
+    let candidates = [];
+    
+    const candidatesContainer = document.createElement('div');
+    candidatesContainer.className = 'linkedin-comment-generator-candidates';
+    candidatesContainer.style.cssText = `
+        display: none;
+        margin: 8px 0 12px 0;
+    `;
+    
+    const candidatesHeader = document.createElement('div');
+    candidatesHeader.style.cssText = `
+        display: flex;
+        justify-content: space-between;
+        align-items: center;
+        margin-bottom: 8px;
+    `;
+    
+    const candidatesLabel = document.createElement('span');
+    candidatesLabel.innerHTML = '<span style="margin-right: 4px;">🗂️</span> Candidates';
+    candidatesLabel.style.cssText = `
+        font-size: 13px;
+        color: #5f6368;
+        font-weight: 600;
+        text-transform: uppercase;
+        letter-spacing: 0.5px;
+    `;
+    
+    const mergeBtn = document.createElement('button');
+    mergeBtn.textContent = 'Merge selected';
+    mergeBtn.title = 'Combine the checked candidates into the comment box';
+    mergeBtn.style.cssText = `
+        display: none;
+        padding: 4px 12px;
+        border: 2px solid #0a66c2;
+        border-radius: 16px;
+        background: white;
+        color: #0a66c2;
+        cursor: pointer;
+        font-weight: 600;
+        font-size: 12px;
+    `;
+    
+    const candidatesList = document.createElement('div');
+    candidatesList.style.cssText = `
+        display: flex;
+        flex-direction: column;
+        gap: 8px;
+        max-height: 260px;
+        overflow-y: auto;
+    `;
+    
+    // Render the candidate cards, highlighting the one currently in the comment box
+    const renderCandidates = () => {
+        candidatesList.innerHTML = '';
+        candidatesContainer.style.display = candidates.length > 1 ? 'block' : 'none';
+        mergeBtn.style.display = 'none';
+        
+        candidates.forEach(text => {
+            const isActive = text === commentBox.value;
+            
+            const card = document.createElement('div');
+            card.className = 'linkedin-comment-generator-candidate';
+            card.style.cssText = `
+                display: flex;
+                gap: 10px;
+                align-items: flex-start;
+                padding: 12px 14px;
+                border: 2px solid ${isActive ? '#0a66c2' : '#e1e9ee'};
+                border-radius: 10px;
+                background: ${isActive ? '#f0f7ff' : 'white'};
+                cursor: pointer;
+                font-size: 13px;
+                line-height: 1.5;
+                color: #191919;
+                transition: all 0.2s ease;
+            `;
+            
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.title = 'Select for merging';
+            checkbox.style.cssText = `
+                margin-top: 3px;
+                accent-color: #0a66c2;
+                cursor: pointer;
+            `;
+            checkbox.addEventListener('click', (e) => e.stopPropagation());
+            checkbox.addEventListener('change', () => {
+                const checkedCount = candidatesList.querySelectorAll('input[type="checkbox"]:checked').length;
+                mergeBtn.style.display = checkedCount >= 2 ? 'inline-block' : 'none';
+            });
+            
+            const textElement = document.createElement('span');
+            textElement.textContent = text;
+            
+            // Pick a candidate into the comment box for editing or posting
+            card.addEventListener('click', () => {
+                commentBox.value = text;
+                renderCandidates();
+            });
+            
+            card.appendChild(checkbox);
+            card.appendChild(textElement);
+            card.candidateText = text;
+            candidatesList.appendChild(card);
+        });
+    };
+    
+    // Remember new candidates, newest first, without duplicates
+    const addCandidates = (texts) => {
+        candidates = [...texts, ...candidates.filter(text => !texts.includes(text))].slice(0, MAX_CANDIDATES);
+        renderCandidates();
+    };
+    
+    mergeBtn.addEventListener('click', () => {
+        const selected = Array.from(candidatesList.children)
+            .filter(card => card.querySelector('input[type="checkbox"]').checked)
+            .map(card => card.candidateText);
+        
+        if (selected.length < 2) return;
+        
+        commentBox.value = selected.join(' ');
+        commentBox.focus();
+        renderCandidates();
+    });
+    
+    candidatesHeader.appendChild(candidatesLabel);
+    candidatesHeader.appendChild(mergeBtn);
+    candidatesContainer.appendChild(candidatesHeader);
+    candidatesContainer.appendChild(candidatesList);
+    
     const buttonContainer = document.createElement('div');
     buttonContainer.style.cssText = `
         display: flex;
@@ -1126,7 +1853,7 @@ function createCommentUI(post, generateButton) {
     
     // Create Post Comment button (styled as primary)
     const postCommentBtn = document.createElement('button');
-    postCommentBtn.innerHTML = '<span style="margin-right: 6px;">💬</span> Post Comment';
+    postCommentBtn.innerHTML = postButtonLabel;
     postCommentBtn.style.cssText = `
         padding: 12px 20px;
         border: none;
@@ -1160,12 +1887,21 @@ function createCommentUI(post, generateButton) {
             postCommentBtn.style.background = 'linear-gradient(135deg, #ef4444 0%, #dc2626 100%)';
             
             setTimeout(() => {
-                postCommentBtn.innerHTML = '<span style="margin-right: 6px;">💬</span> Post Comment';
+                postCommentBtn.innerHTML = postButtonLabel;
                 postCommentBtn.style.background = 'linear-gradient(135deg, #22c55e 0%, #16a34a 100%)';
             }, 2000);
             return;
         }
         
+        // A second comment on the same post is confirmed even when posting does not ask otherwise
+        const anotherComment = replyTarget ? null : await confirmAnotherComment(post, 'Post another comment?');
+        if (anotherComment === false) return;
+        
+        const settings = await settingsLoaded;
+        if (anotherComment === null && settings.postingBehavior === 'confirm' && !window.confirm(`Post this ${replyTarget ? 'reply' : 'comment'} to LinkedIn?`)) {
+            return;
+        }
+        
         // Show posting state
         const originalHTML = postCommentBtn.innerHTML;
         postCommentBtn.innerHTML = '<span style="margin-right: 6px;">⏳</span> Posting...';
@@ -1173,26 +1909,37 @@ function createCommentUI(post, generateButton) {
         postCommentBtn.style.opacity = '0.7';
         
         try {
-            // Post the comment to the specific post (not just any post)
-            const success = await postCommentToSpecificPost(commentBox.value, post);
+            // Post the comment to the specific post (not just any post), or the reply to its comment
+            const result = replyTarget
+                ? await postReplyToComment(commentBox.value, replyTarget)
+                : await postCommentToSpecificPost(commentBox.value, post);
+            
+            recordPostResult(commentBox.value, result.success ? 'posted' : 'failed', result);
             
-            if (success) {
+            if (result.success) {
                 postCommentBtn.innerHTML = '<span style="margin-right: 6px;">✅</span> Posted!';
                 postCommentBtn.style.background = 'linear-gradient(135deg, #22c55e 0%, #16a34a 100%)';
+                if (!replyTarget && generateButton) {
+                    showCommentedState(generateButton, commentBox.value);
+                }
                 
                 // Close the UI after successful posting
                 setTimeout(() => {
-                    container.remove();
-                    activeCommentUI = null;
+                    closeCommentUI(container);
                     if (generateButton) {
                         generateButton.style.display = 'inline-flex';
                     }
                 }, 1500);
             } else {
-                postCommentBtn.innerHTML = '<span style="margin-right: 6px;">❌</span> Failed';
+                // Clicked Post but the comment never appeared: it may still have been published
+                postCommentBtn.innerHTML = result.submitted
+                    ? '<span style="margin-right: 6px;">⚠️</span> Not confirmed'
+                    : '<span style="margin-right: 6px;">❌</span> Failed';
+                postCommentBtn.title = result.error || '';
                 postCommentBtn.style.background = 'linear-gradient(135deg, #ef4444 0%, #dc2626 100%)';
                 
                 setTimeout(() => {
+                    postCommentBtn.title = '';
                     postCommentBtn.innerHTML = originalHTML;
                     postCommentBtn.style.background = 'linear-gradient(135deg, #22c55e 0%, #16a34a 100%)';
                     postCommentBtn.disabled = false;
@@ -1213,6 +1960,87 @@ function createCommentUI(post, generateButton) {
         }
     });
     
+    // Insert as draft: fill LinkedIn's editor and leave reviewing and posting to the user
+    const draftBtn = document.createElement('button');
+    draftBtn.innerHTML = draftButtonLabel;
+    draftBtn.title = 'Fill LinkedIn\'s comment box without posting';
+    draftBtn.style.cssText = `
+        padding: 12px 20px;
+        border: 2px solid #16a34a;
+        border-radius: 24px;
+        background: white;
+        color: #16a34a;
+        cursor: pointer;
+        font-weight: 600;
+        font-size: 14px;
+        transition: all 0.3s cubic-bezier(0.4, 0, 0.2, 1);
+        text-align: center;
+        letter-spacing: 0.3px;
+    `;
+    
+    draftBtn.addEventListener('mouseover', () => {
+        draftBtn.style.background = '#f0fdf4';
+        draftBtn.style.transform = 'translateY(-2px) scale(1.02)';
+    });
+    
+    draftBtn.addEventListener('mouseout', () => {
+        draftBtn.style.background = 'white';
+        draftBtn.style.transform = 'translateY(0) scale(1)';
+    });
+    
+    draftBtn.addEventListener('click', async () => {
+        if (!commentBox.value || commentBox.value === '✨ Analyzing post content and generating intelligent comment...') {
+            draftBtn.innerHTML = '<span style="margin-right: 6px;">⚠️</span> Generate first!';
+            
+            setTimeout(() => {
+                draftBtn.innerHTML = draftButtonLabel;
+            }, 2000);
+            return;
+        }
+        
+        if (!replyTarget && await confirmAnotherComment(post, 'Insert another comment?') === false) {
+            return;
+        }
+        
+        draftBtn.innerHTML = '<span style="margin-right: 6px;">⏳</span> Inserting...';
+        draftBtn.disabled = true;
+        draftBtn.style.opacity = '0.7';
+        
+        const result = replyTarget
+            ? await postReplyToComment(commentBox.value, replyTarget, { draft: true })
+            : await postCommentToSpecificPost(commentBox.value, post, { draft: true });
+        
+        if (result.success) {
+            recordPostResult(commentBox.value, 'draft');
+            draftBtn.innerHTML = '<span style="margin-right: 6px;">✅</span> Inserted';
+            
+            // Close the panel so the filled LinkedIn editor is in view
+            setTimeout(() => {
+                closeCommentUI(container);
+                if (generateButton) {
+                    generateButton.style.display = 'inline-flex';
+                }
+            }, 1500);
+        } else {
+            draftBtn.innerHTML = '<span style="margin-right: 6px;">❌</span> Failed';
+            draftBtn.title = result.error || '';
+            
+            setTimeout(() => {
+                draftBtn.innerHTML = draftButtonLabel;
+                draftBtn.title = 'Fill LinkedIn\'s comment box without posting';
+                draftBtn.disabled = false;
+                draftBtn.style.opacity = '1';
+            }, 2000);
+        }
+    });
+    
+    // In draft-only mode the panel never posts by itself
+    settingsLoaded.then(settings => {
+        if (settings.postingBehavior === 'draft') {
+            postCommentBtn.style.display = 'none';
+        }
+    });
+    
     const regenerateBtn = document.createElement('button');
     regenerateBtn.innerHTML = '<span style="margin-right: 6px;">✨</span> Generate Comment';
     regenerateBtn.style.cssText = `
@@ -1245,6 +2073,73 @@ function createCommentUI(post, generateButton) {
         regenerateBtn.style.boxShadow = '0 4px 12px rgba(10,102,194,0.25)';
     });
     
+    // Requests are keyed by post in the background script, which groups the candidates of one click
+    const requestKey = replyTarget ? getCommentId(replyTarget) : getPostId(post);
+    // Aborts the pending generation, from reading the post until the last candidate; Stop and closing the panel use it
+    let generationController = null;
+    
+    // History entry of the latest generation, updated with what happens when it is posted
+    let historyEntryId = null;
+    let historyFields = null;
+    
+    const recordPostResult = async (text, status, { commentUrn = null, error = null } = {}) => {
+        const changes = {
+            comment: text,
+            edited: !candidates.includes(text),
+            status,
+            commentUrn,
+            error,
+            postedAt: status === 'failed' ? null : Date.now()
+        };
+        const id = await historyEntryId;
+        if (id) {
+            updateHistory(id, changes);
+        } else {
+            // Written by hand without generating first
+            recordHistory({ ...(historyFields || getHistoryPostFields(post, extractPostContent(post))), ...changes });
+        }
+    };
+    
+    const stopBtn = document.createElement('button');
+    stopBtn.innerHTML = '<span style="margin-right: 6px;">⏹️</span> Stop';
+    stopBtn.title = 'Stop generating';
+    stopBtn.style.cssText = `
+        display: none;
+        padding: 12px 24px;
+        border: 2px solid #dc2626;
+        border-radius: 24px;
+        background: white;
+        color: #dc2626;
+        cursor: pointer;
+        font-weight: 600;
+        font-size: 14px;
+        flex: 1;
+        transition: all 0.3s cubic-bezier(0.4, 0, 0.2, 1);
+        text-align: center;
+        letter-spacing: 0.3px;
+    `;
+    
+    stopBtn.addEventListener('mouseover', () => {
+        stopBtn.style.backgroundColor = '#fee';
+    });
+    
+    stopBtn.addEventListener('mouseout', () => {
+        stopBtn.style.backgroundColor = 'white';
+    });
+    
+    stopBtn.addEventListener('click', () => {
+        debug.log('Stopping comment generation', requestKey);
+        if (generationController) {
+            generationController.abort();
+        }
+    });
+    
+    container.cancelGeneration = () => {
+        if (generationController) {
+            generationController.abort();
+        }
+    };
+    
 
     // Create settings and close buttons
     const closeBtn = document.createElement('button');
@@ -1282,56 +2177,180 @@ function createCommentUI(post, generateButton) {
     });
     
     closeBtn.addEventListener('click', () => {
-        container.remove();
-        activeCommentUI = null;
+        closeCommentUI(container);
         // Show the generate button again
         if (generateButton) {
             generateButton.style.display = 'inline-flex';
         }
     });
+    
+    const settingsBtn = document.createElement('button');
+    settingsBtn.innerHTML = `<svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><circle cx="12" cy="12" r="3"></circle><path d="M19.4 15a1.65 1.65 0 0 0 .33 1.82l.06.06a2 2 0 1 1-2.83 2.83l-.06-.06a1.65 1.65 0 0 0-1.82-.33 1.65 1.65 0 0 0-1 1.51V21a2 2 0 1 1-4 0v-.09A1.65 1.65 0 0 0 9 19.4a1.65 1.65 0 0 0-1.82.33l-.06.06a2 2 0 1 1-2.83-2.83l.06-.06A1.65 1.65 0 0 0 4.6 15a1.65 1.65 0 0 0-1.51-1H3a2 2 0 1 1 0-4h.09A1.65 1.65 0 0 0 4.6 9a1.65 1.65 0 0 0-.33-1.82l-.06-.06a2 2 0 1 1 2.83-2.83l.06.06A1.65 1.65 0 0 0 9 4.6a1.65 1.65 0 0 0 1-1.51V3a2 2 0 1 1 4 0v.09a1.65 1.65 0 0 0 1 1.51 1.65 1.65 0 0 0 1.82-.33l.06-.06a2 2 0 1 1 2.83 2.83l-.06.06A1.65 1.65 0 0 0 19.4 9a1.65 1.65 0 0 0 1.51 1H21a2 2 0 1 1 0 4h-.09a1.65 1.65 0 0 0-1.51 1z"></path></svg>`;
+    settingsBtn.title = 'Open extension settings';
+    settingsBtn.style.cssText = `
+        position: absolute;
+        top: 20px;
+        right: 60px;
+        border: none;
+        background: white;
+        color: #5f6368;
+        cursor: pointer;
+        width: 32px;
+        height: 32px;
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        border-radius: 50%;
+        transition: all 0.3s cubic-bezier(0.4, 0, 0.2, 1);
+        box-shadow: 0 2px 4px rgba(0,0,0,0.1);
+    `;
+    
+    settingsBtn.addEventListener('mouseover', () => {
+        settingsBtn.style.backgroundColor = '#f0f7ff';
+        settingsBtn.style.color = '#0a66c2';
+        settingsBtn.style.transform = 'rotate(45deg) scale(1.1)';
+    });
+    
+    settingsBtn.addEventListener('mouseout', () => {
+        settingsBtn.style.backgroundColor = 'white';
+        settingsBtn.style.color = '#5f6368';
+        settingsBtn.style.transform = 'rotate(0) scale(1)';
+    });
+    
+    settingsBtn.addEventListener('click', () => {
+        chrome.runtime.sendMessage({ action: 'openOptions' });
+    });
 
     // Add event listeners
     regenerateBtn.addEventListener('click', async () => {
-        const content = extractPostContent(post);
-        debug.log('Extracted post content for comment generation', content);
-        
         // Show loading state
-        commentBox.value = '✨ Analyzing post content and generating intelligent comment...';
+        const loadingMessage = '✨ Analyzing post content and generating intelligent comment...';
+        commentBox.value = loadingMessage;
         regenerateBtn.disabled = true;
+        regenerateBtn.style.display = 'none';
+        stopBtn.style.display = 'block';
+        const controller = new AbortController();
+        generationController = controller;
+        
+        // Stopped by the user: keep whatever text had already streamed in
+        const showCancelled = () => {
+            debug.log('Comment generation cancelled');
+            if (commentBox.value === loadingMessage) {
+                commentBox.value = '';
+            }
+            renderCandidates();
+        };
         
         try {
+            // Truncated posts are expanded first so the model sees the whole text
+            const content = await extractFullPostContent(post, await settingsLoaded);
+            if (controller.signal.aborted) {
+                showCancelled();
+                return;
+            }
+            debug.log('Extracted post content for comment generation', content);
+            showCommentContext(content.comments.length);
+            
+            // Replies are written to the comment and its thread, with the post as background
+            if (replyTarget) {
+                content.replyTo = extractCommentThread(replyTarget);
+            }
+            
             const hint = hintInput.value.trim();
             const tone = toneSelect.value;
             const model = modelSelect.value;
+            const template = templateSelect.value || null;
+            
+            SETTINGS.saveLastUsed({ tone, model, template, hint }, authorKey).catch(error => {
+                debug.error('Error saving last used selections', error);
+            });
             
             // Only use the API - no fallback to local generation
             try {
-                const comment = await generateCommentAPI(content, hint, tone, model);
-                commentBox.value = comment;
+                // Generate the configured number of candidates in parallel
+                const settings = await settingsLoaded;
+                userInfoLoaded = userInfoLoaded || getUserInfo();
+                const userInfo = await userInfoLoaded;
+                const commenter = userInfo.name && userInfo.name !== 'unknown' ? userInfo.name : '';
+                if (controller.signal.aborted) {
+                    showCancelled();
+                    return;
+                }
+                
+                const count = Math.max(1, Number(settings.candidateCount) || 1);
+                const results = await Promise.allSettled(
+                    Array.from({ length: count }, (_, index) => generateCommentAPI(content, hint, tone, model, {
+                        commenter,
+                        template,
+                        requestKey,
+                        signal: controller.signal,
+                        // Only the first candidate streams into the comment box
+                        onChunk: index === 0 ? (text, fullText) => { commentBox.value = fullText; } : null
+                    }))
+                );
+                
+                const comments = results.filter(r => r.status === 'fulfilled').map(r => r.value);
+                // A closed panel must not record a generation nobody saw
+                if (controller.signal.aborted) {
+                    showCancelled();
+                    return;
+                }
+                if (comments.length === 0) {
+                    throw results[0].reason;
+                }
+                
+                commentBox.value = comments[0];
+                addCandidates(comments);
+                
+                historyFields = {
+                    ...getHistoryPostFields(post, content),
+                    replyTo: content.replyTo ? content.replyTo.text : ''
+                };
+                historyEntryId = recordHistory({
+                    ...historyFields,
+                    comment: comments[0],
+                    generatedComments: comments,
+                    tone,
+                    model,
+                    template: SETTINGS.getTemplate(settings, template || settings.defaultTemplate).name,
+                    hint
+                });
                 hintInput.style.display = 'block'
             } catch (apiError) {
                 debug.error('API generation failed', apiError);
                 
                 // Show clear error message to user
                 commentBox.value = `Error: Could not generate comment. ${apiError.message}\n\nPlease check API configuration or try again later.`;
+                renderCandidates();
             }
         } catch (error) {
             debug.error('Error in comment generation process', error);
             commentBox.value = `Error: ${error.message || 'Unknown error occurred while generating comment.'}`;
+        } finally {
+            if (generationController === controller) {
+                generationController = null;
+            }
+            stopBtn.style.display = 'none';
+            regenerateBtn.style.display = '';
+            regenerateBtn.disabled = false;
         }
-        
-        regenerateBtn.disabled = false;
     });
     
     // Assemble the UI
     buttonContainer.appendChild(regenerateBtn);
+    buttonContainer.appendChild(stopBtn);
+    buttonContainer.appendChild(draftBtn);
     buttonContainer.appendChild(postCommentBtn);
     
     container.appendChild(closeBtn);
+    container.appendChild(settingsBtn);
     container.appendChild(heading);
     container.appendChild(toneContainer); // Add the tone dropdown
     container.appendChild(modelContainer); // Add the model dropdown
+    container.appendChild(templateContainer); // Add the prompt template dropdown
     container.appendChild(commentBoxContainer); // Use container instead of just commentBox
+    container.appendChild(contextInfo); // Existing comments used as context
+    container.appendChild(candidatesContainer); // Earlier and parallel candidates
     container.appendChild(hintInput); // Moved hintInput after commentBoxContainer
     container.appendChild(actionButtonsContainer); // Add the action buttons
     container.appendChild(buttonContainer);
@@ -1431,9 +2450,48 @@ function createGenerateButton() {
     return button;
 }
 
-// Find posts and add buttons
-function addButtonsToPosts() {
-    try {
+// Create the AI Reply button shown on comments, styled like LinkedIn's own comment actions
+function createReplyButton() {
+    const button = document.createElement('button');
+    button.innerHTML = `
+        <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+            <path d="M12 2l3.09 6.26L22 9.27l-5 4.87 1.18 6.88L12 17.77l-6.18 3.25L7 14.14 2 9.27l6.91-1.01L12 2z"/>
+        </svg>
+        <span>AI Reply</span>
+    `;
+    button.className = 'linkedin-comment-generator-reply-button';
+    button.title = 'Generate a reply to this comment';
+    button.style.cssText = `
+        background: none;
+        color: #0a66c2;
+        border: none;
+        border-radius: 4px;
+        padding: 4px 8px;
+        margin-left: 4px;
+        cursor: pointer;
+        font-size: 12px;
+        font-weight: 600;
+        font-family: -apple-system, system-ui, sans-serif;
+        display: inline-flex;
+        align-items: center;
+        gap: 4px;
+        transition: background 0.2s ease;
+    `;
+    
+    button.addEventListener('mouseover', () => {
+        button.style.background = '#f0f7ff';
+    });
+    
+    button.addEventListener('mouseout', () => {
+        button.style.background = 'none';
+    });
+    
+    return button;
+}
+
+// Find posts and add buttons
+function addButtonsToPosts() {
+    try {
         // Cleanup before adding new buttons
         cleanupDuplicateButtons();
         
@@ -1563,8 +2621,7 @@ function addButtonsToPosts() {
                             
                             // Remove any existing comment UI
                             if (activeCommentUI) {
-                                activeCommentUI.remove();
-                                activeCommentUI = null;
+                                closeCommentUI(activeCommentUI);
                             }
                             
                             // Hide the generate button
@@ -1618,8 +2675,7 @@ function addButtonsToPosts() {
                         
                         // Remove any existing comment UI
                         if (activeCommentUI) {
-                            activeCommentUI.remove();
-                            activeCommentUI = null;
+                            closeCommentUI(activeCommentUI);
                         }
                         
                         // Hide the generate button
@@ -1672,8 +2728,7 @@ function addButtonsToPosts() {
                 
                 // Remove any existing comment UI
                 if (activeCommentUI) {
-                    activeCommentUI.remove();
-                    activeCommentUI = null;
+                    closeCommentUI(activeCommentUI);
                 }
                 
                 // Hide the generate button
@@ -1714,6 +2769,44 @@ function addButtonsToPosts() {
     }
 }
 
+// Add AI Reply buttons next to the Reply button of every comment and reply
+function addReplyButtonsToComments() {
+    try {
+        document.querySelectorAll(COMMENT_ITEM_SELECTOR).forEach(commentElement => {
+            if (commentElement.hasAttribute('data-lcg-reply-processed')) return;
+            
+            const replyButton = findCommentReplyButton(commentElement);
+            const post = commentElement.closest('.feed-shared-update-v2, .occludable-update, [data-urn], .feed-shared-update, .artdeco-card');
+            if (!replyButton || !post) return;
+            
+            commentElement.setAttribute('data-lcg-reply-processed', 'true');
+            
+            const button = createReplyButton();
+            button.addEventListener('click', (e) => {
+                e.stopPropagation();
+                e.preventDefault();
+                
+                // Remove any existing comment UI
+                if (activeCommentUI) {
+                    closeCommentUI(activeCommentUI);
+                }
+                
+                button.style.display = 'none';
+                
+                // Show the reply panel below the comment's action bar
+                const actionBar = replyButton.closest('.comments-comment-social-bar, .comments-comment-item__social-actions, .comments-comment-social-bar--cr') || replyButton.parentNode;
+                const commentUI = createCommentUI(post, button, commentElement);
+                actionBar.parentNode.insertBefore(commentUI, actionBar.nextSibling);
+                activeCommentUI = commentUI;
+            });
+            
+            replyButton.parentNode.insertBefore(button, replyButton.nextSibling);
+        });
+    } catch (error) {
+        debug.error('Error adding reply buttons to comments', error);
+    }
+}
+
 // Clean up any duplicate buttons
 function cleanupDuplicateButtons() {
     try {
@@ -1782,1950 +2875,616 @@ function cleanupDuplicateButtons() {
     }
 }
 
-// Function to paste comment into LinkedIn's comment box
-async function pasteComment(comment) {
-    debug.log('Attempting to paste comment');
-    if (debug.isDebugMode) debug.showVisualFeedback('Starting comment paste process', null, 'info');
-    
-    try {
-        // Find and click the comment button first
-        const commentButtonSelectors = [
-            'button[aria-label*="comment"]',
-            'button.comment-button',
-            '.comment-button',
-            '[aria-label*="Comment"]',
-            '[data-control-name="comment"]',
-            'button[aria-label*="Add a comment"]',
-            '[role="button"][aria-label*="comment"]'
-        ];
-        
-        let commentButton = null;
-        for (const selector of commentButtonSelectors) {
-            const buttons = document.querySelectorAll(selector);
-            for (const button of buttons) {
-                // Check if button is visible
-                if (button.offsetParent !== null) {
-                    commentButton = button;
-                    if (debug.isDebugMode) debug.showVisualFeedback(`Found comment button with selector: ${selector}`, button, 'success');
-                    break;
-                }
-            }
-            if (commentButton) break;
+// Ways of putting text into LinkedIn's comment editor, tried in order until one verifiably works.
+// Each strategy inserts at the current caret; the one that worked last is tried first next time.
+const INSERTION_STRATEGIES = [
+    {
+        name: 'insertText',
+        async insert(editor, text) {
+            document.execCommand('insertText', false, text);
         }
-        
-        if (commentButton) {
-            debug.log('Found comment button, clicking it');
-            commentButton.click();
-            // Wait longer for comment box to appear, LinkedIn can be slow
-            await new Promise(resolve => setTimeout(resolve, 2000));
-        } else {
-            if (debug.isDebugMode) debug.showVisualFeedback('No comment button found!', null, 'error');
+    },
+    {
+        name: 'inputEvent',
+        async insert(editor, text) {
+            insertAtCaret(editor, text);
         }
-        
-        // Try to find the comment box
-        const commentBoxSelectors = [
-            'div[contenteditable="true"]',
-            'div[role="textbox"]',
-            'div.comments-comment-box-comment__text-editor',
-            'div.ql-editor',
-            'div[data-placeholder="Add a comment…"]',
-            '[aria-label*="comment" i][contenteditable="true"]',
-            '[aria-label*="Comment" i][role="textbox"]',
-            'div.comments-comment-box__content-editor',
-            'div.editor-content',
-            'p[data-placeholder="Add a comment…"]',
-            '[data-test-id*="comment-box"]'
-        ];
-        
-        let commentBox = null;
-        let usedSelector = '';
-        for (const selector of commentBoxSelectors) {
-            const elements = document.querySelectorAll(selector);
-            
-            for (const element of elements) {
-                if (element.offsetParent !== null) { // Check if element is visible
-                    commentBox = element;
-                    usedSelector = selector;
-                    debug.log('Found comment box', element);
-                    if (debug.isDebugMode) debug.showVisualFeedback(`Found comment box with selector: ${selector}`, element, 'success');
-                    break;
-                }
-            }
-            if (commentBox) break;
+    },
+    {
+        name: 'clipboardPaste',
+        async insert(editor, text) {
+            const clipboardData = new DataTransfer();
+            clipboardData.setData('text/plain', text);
+            editor.dispatchEvent(new ClipboardEvent('paste', { clipboardData, bubbles: true, cancelable: true }));
         }
-        
-        if (!commentBox) {
-            debug.error('Could not find comment box');
-            if (debug.isDebugMode) debug.showVisualFeedback('Comment box not found!', null, 'error');
-            
-            // One more attempt: Look for any editable elements that appeared after clicking comment
-            const editableElements = document.querySelectorAll('[contenteditable="true"], [role="textbox"]');
-            for (const element of editableElements) {
-                if (element.offsetParent !== null) {
-                    commentBox = element;
-                    debug.log('Found potential comment box via editable element search', element);
-                    if (debug.isDebugMode) debug.showVisualFeedback('Found potential comment box via fallback search', element, 'warning');
-                    break;
+    },
+    {
+        name: 'typing',
+        async insert(editor, text) {
+            for (let i = 0; i < text.length; i++) {
+                const char = text.charAt(i);
+                editor.dispatchEvent(new KeyboardEvent('keydown', { key: char, bubbles: true }));
+                insertAtCaret(editor, char);
+                editor.dispatchEvent(new KeyboardEvent('keyup', { key: char, bubbles: true }));
+                
+                // Small delay to simulate realistic typing
+                if (i % 5 === 0 && i > 0) {
+                    await new Promise(resolve => setTimeout(resolve, 10));
                 }
             }
-            
-            if (!commentBox) {
-            return false;
-            }
         }
+    }
+];
+
+// Insert text at the caret the way a browser does for typed input: announce it with beforeinput,
+// insert it ourselves unless the editor handled the event, then fire input
+function insertAtCaret(editor, text) {
+    const beforeInput = new InputEvent('beforeinput', {
+        inputType: 'insertText',
+        data: text,
+        bubbles: true,
+        cancelable: true
+    });
+    
+    if (editor.dispatchEvent(beforeInput)) {
+        const selection = window.getSelection();
+        const range = selection.getRangeAt(0);
+        range.deleteContents();
+        range.insertNode(document.createTextNode(text));
+        range.collapse(false);
+        selection.removeAllRanges();
+        selection.addRange(range);
+    }
+    editor.dispatchEvent(new InputEvent('input', { inputType: 'insertText', data: text, bubbles: true }));
+}
+
+// Name of the strategy that worked last, loaded from chrome.storage.local on first use
+let preferredInsertionStrategy = null;
+
+// Strategies in the order to try them, the one that worked last time first
+async function getInsertionStrategies() {
+    if (preferredInsertionStrategy === null) {
+        const { insertionStrategy } = await chrome.storage.local.get({ insertionStrategy: '' });
+        preferredInsertionStrategy = insertionStrategy;
+    }
+    
+    const preferred = INSERTION_STRATEGIES.find(strategy => strategy.name === preferredInsertionStrategy);
+    return preferred
+        ? [preferred, ...INSERTION_STRATEGIES.filter(strategy => strategy !== preferred)]
+        : INSERTION_STRATEGIES;
+}
+
+// Collapse runs of whitespace so text can be compared with what LinkedIn rendered
+function normalizeWhitespace(value) {
+    return value.replace(/\s+/g, ' ').trim();
+}
+
+// Check that the editor now holds the whole text, ignoring how LinkedIn split it into paragraphs
+function editorContainsText(editor, text) {
+    return normalizeWhitespace(editor.innerText || editor.textContent).includes(normalizeWhitespace(text));
+}
+
+// Put the caret at the end of the editor, after anything LinkedIn pre-filled (e.g. an @mention)
+function moveCaretToEnd(editor) {
+    editor.focus();
+    const range = document.createRange();
+    range.selectNodeContents(editor);
+    range.collapse(false);
+    const selection = window.getSelection();
+    selection.removeAllRanges();
+    selection.addRange(range);
+}
+
+// Insert text into a comment editor, trying each strategy until the text verifiably appears.
+// With append the existing content is kept; otherwise the editor is cleared first.
+// Returns the name of the strategy that worked, or null.
+async function insertIntoEditor(editor, text, { append = false } = {}) {
+    editor.focus();
+    editor.click();
+    await new Promise(resolve => setTimeout(resolve, 300));
+    
+    if (!append && editor.textContent.trim()) {
+        // Clear through the editor's own input handling, like the strategies write text
+        document.execCommand('selectAll', false);
+        document.execCommand('delete', false);
         
-        debug.log('Comment box details', {
-            tagName: commentBox.tagName,
-            className: commentBox.className,
-            id: commentBox.id,
-            contentEditable: commentBox.contentEditable,
-            role: commentBox.getAttribute('role'),
-            selector: usedSelector
-        });
-        
-        // Focus on the comment box multiple times to ensure LinkedIn registers it
-        commentBox.focus();
-        commentBox.click();
-        await new Promise(resolve => setTimeout(resolve, 300));
-        commentBox.focus();
-        
-        // Clear any existing content
-        commentBox.innerHTML = '';
-        
-        // Log the browser info
-        debug.log('Browser info', {
-            userAgent: navigator.userAgent,
-            platform: navigator.platform,
-            vendor: navigator.vendor
-        });
-        
-        // === APPROACH 1: Clipboard API ===
-        let success = false;
-        
-        try {
-            // Try clipboard approach first
-            debug.log('Trying clipboard paste approach');
-            if (debug.isDebugMode) debug.showVisualFeedback('Trying clipboard paste approach', commentBox, 'info');
-            
-            await navigator.clipboard.writeText(comment);
-            
-            // Use keyboard shortcut to paste (Cmd+V or Ctrl+V)
-            const isMac = navigator.platform.indexOf('Mac') !== -1;
-            const metaKey = isMac ? true : false;
-            const ctrlKey = !isMac;
-            
-            commentBox.dispatchEvent(new KeyboardEvent('keydown', {
-                key: 'v',
-                code: 'KeyV',
-                ctrlKey: ctrlKey,
-                metaKey: metaKey,
-                bubbles: true
-            }));
-            
-            // Also try execCommand as backup
-            document.execCommand('paste');
-            
-            await new Promise(resolve => setTimeout(resolve, 300));
-            debug.log('Tried clipboard paste approach');
-            
-            // Check if paste worked
-            if (commentBox.textContent || commentBox.innerText) {
-                success = true;
-                if (debug.isDebugMode) debug.showVisualFeedback('Clipboard paste successful!', commentBox, 'success');
-            } else {
-                if (debug.isDebugMode) debug.showVisualFeedback('Clipboard paste failed', commentBox, 'error');
-            }
-        } catch (clipboardError) {
-            debug.error('Clipboard paste failed', clipboardError);
-            if (debug.isDebugMode) debug.showVisualFeedback(`Clipboard error: ${clipboardError.message}`, null, 'error');
+        // Last resort when the browser refuses the commands
+        if (editor.textContent.trim()) {
+            editor.innerHTML = '';
+            editor.dispatchEvent(new Event('input', { bubbles: true }));
         }
-        
-        // === APPROACH 2: Direct text insertion ===
-        if (!success) {
-            try {
-                debug.log('Trying direct text insertion');
-                if (debug.isDebugMode) debug.showVisualFeedback('Trying direct text insertion', commentBox, 'info');
-                
-        commentBox.textContent = comment;
-        
-                if (!commentBox.textContent) {
-                    commentBox.innerText = comment;
-                }
-                
-                if (!commentBox.textContent && !commentBox.innerText) {
-                    const textNode = document.createTextNode(comment);
-                    commentBox.appendChild(textNode);
-                }
-                
-                // Check if direct insertion worked
-                if (commentBox.textContent || commentBox.innerText) {
-                    success = true;
-                    if (debug.isDebugMode) debug.showVisualFeedback('Direct text insertion successful!', commentBox, 'success');
-                } else {
-                    if (debug.isDebugMode) debug.showVisualFeedback('Direct text insertion failed', commentBox, 'error');
+    }
+    const originalHTML = editor.innerHTML;
+    const insertedText = append && editor.textContent.trim() ? ` ${text}` : text;
+    
+    for (const strategy of await getInsertionStrategies()) {
+        try {
+            moveCaretToEnd(editor);
+            await strategy.insert(editor, insertedText);
+            editor.dispatchEvent(new Event('input', { bubbles: true }));
+            await new Promise(resolve => setTimeout(resolve, 100));
+            
+            if (editorContainsText(editor, text)) {
+                debug.log(`Inserted comment with the ${strategy.name} strategy`);
+                if (strategy.name !== preferredInsertionStrategy) {
+                    preferredInsertionStrategy = strategy.name;
+                    chrome.storage.local.set({ insertionStrategy: strategy.name }).catch(error => {
+                        debug.error('Error saving insertion strategy', error);
+                    });
                 }
-            } catch (textError) {
-                debug.error('Direct text insertion failed', textError);
-                if (debug.isDebugMode) debug.showVisualFeedback(`Text insertion error: ${textError.message}`, null, 'error');
+                return strategy.name;
             }
+            debug.log(`The ${strategy.name} strategy did not insert the comment`);
+        } catch (error) {
+            debug.error(`The ${strategy.name} strategy failed`, error);
         }
         
-        // === APPROACH 3: InputEvent simulation ===
-        if (!success) {
-            try {
-                debug.log('Trying InputEvent simulation');
-                if (debug.isDebugMode) debug.showVisualFeedback('Trying InputEvent simulation', commentBox, 'info');
-                
-                // Clear content again to be safe
-                commentBox.innerHTML = '';
-                
-                // Use modern InputEvent to simulate typing
-                commentBox.dispatchEvent(new InputEvent('input', {
-                    inputType: 'insertText',
-                    data: comment,
-                    bubbles: true,
-                    cancelable: true
-                }));
-                
-                // Check if input event approach worked
-                if (commentBox.textContent || commentBox.innerText) {
-                    success = true;
-                    if (debug.isDebugMode) debug.showVisualFeedback('InputEvent simulation successful!', commentBox, 'success');
-                } else {
-                    // Try execCommand as last resort
-                    document.execCommand('insertText', false, comment);
-                    
-                    if (commentBox.textContent || commentBox.innerText) {
-                        success = true;
-                        if (debug.isDebugMode) debug.showVisualFeedback('execCommand insertText successful!', commentBox, 'success');
-                    } else {
-                        if (debug.isDebugMode) debug.showVisualFeedback('InputEvent and execCommand failed', commentBox, 'error');
-                    }
-                }
-            } catch (inputError) {
-                debug.error('InputEvent simulation failed', inputError);
-                if (debug.isDebugMode) debug.showVisualFeedback(`InputEvent error: ${inputError.message}`, null, 'error');
-            }
+        // Undo any partial insertion before trying the next strategy
+        editor.innerHTML = originalHTML;
+        editor.dispatchEvent(new Event('input', { bubbles: true }));
+    }
+    
+    return null;
+}
+
+// Find the main Comment button in a post's action bar, never a Reply button on a comment
+function findPostCommentButton(postElement) {
+    const commentButtonSelectors = [
+        'button[aria-label*="comment on" i]', // Main comment button usually says "Comment on [name]'s post"
+        'button[aria-label*="leave a comment" i]',
+        'button[aria-label*="Add a comment" i]',
+        'button.comment-button',
+        '[data-control-name="comment"]',
+        'button.social-actions-button[aria-label*="comment" i]'
+    ];
+    const isCommentButton = button => {
+        const ariaLabel = (button.getAttribute('aria-label') || '').toLowerCase();
+        return button.offsetParent !== null &&
+            !ariaLabel.includes('reply') &&
+            !button.textContent.toLowerCase().includes('reply') &&
+            !button.closest(COMMENT_ITEM_SELECTOR);
+    };
+    
+    // Look in the social actions area first, then anywhere in the post outside the comments
+    const scopes = [
+        ...postElement.querySelectorAll('.feed-shared-social-actions, .social-details-social-actions, .update-v2-social-actions, .feed-shared-social-action-bar'),
+        postElement
+    ];
+    
+    for (const scope of scopes) {
+        for (const selector of commentButtonSelectors) {
+            const button = Array.from(scope.querySelectorAll(selector)).find(isCommentButton);
+            if (button) return button;
         }
-        
-        // === APPROACH 4: Character-by-character simulation ===
-        if (!success) {
-            try {
-                debug.log('Trying character-by-character typing');
-                if (debug.isDebugMode) debug.showVisualFeedback('Trying character-by-character typing', commentBox, 'info');
-                
-                // Clear content again
-                commentBox.innerHTML = '';
-                commentBox.focus();
-                
-                // Simulate typing character by character
-                for (let i = 0; i < comment.length; i++) {
-                    const char = comment.charAt(i);
-                    
-                    // Dispatch events for each character
-                    commentBox.dispatchEvent(new KeyboardEvent('keydown', { key: char, bubbles: true }));
-                    commentBox.dispatchEvent(new InputEvent('beforeinput', { 
-                        inputType: 'insertText',
-                        data: char,
-                        bubbles: true
-                    }));
-                    
-                    // Actually insert the character
-                    document.execCommand('insertText', false, char);
-                    
-                    commentBox.dispatchEvent(new KeyboardEvent('keyup', { key: char, bubbles: true }));
-                    commentBox.dispatchEvent(new InputEvent('input', { 
-                        inputType: 'insertText',
-                        data: char,
-                        bubbles: true
-                    }));
-                    
-                    // Small delay to simulate realistic typing
-                    if (i % 5 === 0 && i > 0) {
-                        await new Promise(resolve => setTimeout(resolve, 10));
-                    }
-                }
-                
-                // Check if character simulation worked
-                if (commentBox.textContent || commentBox.innerText) {
-                    success = true;
-                    if (debug.isDebugMode) debug.showVisualFeedback('Character-by-character typing successful!', commentBox, 'success');
-                } else {
-                    if (debug.isDebugMode) debug.showVisualFeedback('Character-by-character typing failed', commentBox, 'error');
-                }
-            } catch (charError) {
-                debug.error('Character simulation failed', charError);
-                if (debug.isDebugMode) debug.showVisualFeedback(`Character simulation error: ${charError.message}`, null, 'error');
-            }
+    }
+    return null;
+}
+
+// Find the visible comment editor of a post, or null when the post has none open
+function findPostCommentEditor(postElement) {
+    const editorSelectors = [
+        '.comments-comment-box [contenteditable="true"]',
+        '.comments-comment-texteditor [contenteditable="true"]',
+        'div.comments-comment-box__content-editor',
+        '.ql-editor[contenteditable="true"]',
+        '[contenteditable="true"]',
+        '[role="textbox"]'
+    ];
+    
+    // The comments may render in the wrapper LinkedIn puts around the post, which is still this post.
+    // Editors anywhere else, e.g. the open comment box of the next post, are never used.
+    const wrapper = postElement.parentElement && postElement.parentElement.closest(POST_CONTAINER_SELECTOR);
+    const scopes = wrapper ? [postElement, wrapper] : [postElement];
+    
+    for (const scope of scopes) {
+        for (const selector of editorSelectors) {
+            // Reply boxes inside the comments belong to other comments
+            const editor = Array.from(scope.querySelectorAll(selector))
+                .find(box => box.offsetParent !== null && !box.closest(COMMENT_ITEM_SELECTOR));
+            if (editor) return editor;
         }
+    }
+    
+    return null;
+}
+
+// Click the submit button belonging to an editor once LinkedIn enables it
+async function submitEditor(editor) {
+    const submitSelectors = [
+        'button.comments-comment-box__submit-button--cr', // The specific class from LinkedIn's current UI
+        'button.comments-comment-box__submit-button',
+        'button[type="submit"]'
+    ];
+    // Only the editor's own comment form counts: a primary button merely near the editor
+    // can be Follow, Connect or a promotion on a neighbouring card
+    const commentForms = ['.comments-comment-texteditor', 'form', '.comments-comment-box', '.comments-comment-box--cr']
+        .map(selector => editor.closest(selector))
+        .filter(Boolean);
+    const findInCommentForm = selector => commentForms.map(commentForm => commentForm.querySelector(selector)).find(Boolean) || null;
+    const maxRetries = 5;
+    
+    for (let retries = 0; retries < maxRetries; retries++) {
+        await new Promise(resolve => setTimeout(resolve, 500));
         
-        // Dispatch necessary events to trigger LinkedIn's UI update
-        const events = ['input', 'change', 'blur', 'focus'];
-        events.forEach(eventType => {
-            commentBox.dispatchEvent(new Event(eventType, { bubbles: true }));
-        });
+        // Fall back to the primary button of the comment form when LinkedIn renamed the submit button
+        const submitButton = findInCommentForm(submitSelectors.join(', ')) || findInCommentForm('button.artdeco-button--primary');
         
-        // Log what's in the comment box
-        debug.log('Comment box content after insertion attempts', {
-            textContent: commentBox.textContent,
-            innerText: commentBox.innerText,
-            innerHTML: commentBox.innerHTML.substring(0, 100) + (commentBox.innerHTML.length > 100 ? '...' : '')
-        });
+        if (submitButton && !submitButton.disabled) {
+            debug.log('Clicking submit button', submitButton);
+            submitButton.click();
+            return true;
+        }
+        debug.log(`Retry ${retries + 1}/${maxRetries}: Submit button not enabled yet, waiting...`);
+    }
+    
+    debug.error('No enabled submit button found for the editor');
+    return false;
+}
+
+// Get the profile ID of a /in/<id>/ URL, lowercased, or null for any other URL
+function getProfileId(url) {
+    if (!url) return null;
+    
+    try {
+        const match = new URL(url, window.location.origin).pathname.match(/^\/in\/([^\/]+)(?:\/|$)/);
+        return match ? decodeURIComponent(match[1]).toLowerCase() : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// Get the numeric member ID of the signed-in user, when getUserInfo found a member URN instead of a profile
+function getOwnMemberId(userInfo) {
+    return /^\d+$/.test(userInfo.id || '') ? String(userInfo.id) : null;
+}
+
+// Whether userInfo holds anything a comment's author can be compared to
+// getUserInfo falls back to a made-up ID, which identifies nobody
+function canIdentifyUser(userInfo) {
+    return !!(getProfileId(userInfo.profileUrl) || getOwnMemberId(userInfo) || userInfo.name);
+}
+
+// Read who wrote a comment from its own actor link, ignoring @mentions in the text and nested replies
+// Returns { profileId, memberId } where either may be null
+function getCommentActor(commentElement) {
+    const actorLink = Array.from(commentElement.querySelectorAll('a.comments-post-meta__actor-link, a.comments-post-meta__image-link, a.comments-comment-meta__description-container, a.comments-comment-meta__image-link'))
+        .find(link => link.closest(COMMENT_ITEM_SELECTOR) === commentElement);
+    if (!actorLink) return { profileId: null, memberId: null };
+    
+    const memberMatch = (actorLink.getAttribute('data-entity-urn') || actorLink.getAttribute('data-urn') || '').match(/^urn:li:member:(\d+)$/);
+    return {
+        profileId: getProfileId(actorLink.getAttribute('href')),
+        memberId: memberMatch ? memberMatch[1] : null
+    };
+}
+
+// Check whether a comment was written by the signed-in user
+function isOwnComment(commentElement, userInfo) {
+    const actor = getCommentActor(commentElement);
+    
+    // Compare exact profile IDs or member IDs, a prefix would match other people's profiles
+    const ownProfileId = getProfileId(userInfo.profileUrl);
+    if (ownProfileId && actor.profileId) return actor.profileId === ownProfileId;
+    
+    const ownMemberId = getOwnMemberId(userInfo);
+    if (ownMemberId && actor.memberId) return actor.memberId === ownMemberId;
+    
+    const authorName = readComment(commentElement).authorName;
+    if (userInfo.name && authorName) return authorName === userInfo.name;
+    
+    // Without a name or profile to compare, the comment text has to be enough
+    return !canIdentifyUser(userInfo);
+}
+
+// Get the URN LinkedIn gave a comment, e.g. urn:li:comment:(activity:123,456)
+function getCommentUrn(commentElement) {
+    const id = commentElement.getAttribute('data-id') || '';
+    return id.startsWith('urn:li:') ? id : null;
+}
+
+// Read the reactions and replies a comment received, ignoring the counts of nested replies
+function readCommentEngagement(commentElement) {
+    const findOwn = selector => Array.from(commentElement.querySelectorAll(selector))
+        .find(element => element.closest(COMMENT_ITEM_SELECTOR) === commentElement);
+    
+    const reactionsElement = findOwn('.comments-comment-social-bar__reactions-count, .comments-comment-social-bar__reactions-count--cr');
+    const repliesElement = findOwn('.comments-comment-social-bar__replies-count, .comments-comment-social-bar__replies-count--cr');
+    // The reply count is missing on some layouts, the rendered replies are a lower bound
+    const renderedReplies = getTopLevelComment(commentElement) === commentElement
+        ? commentElement.querySelectorAll(COMMENT_ITEM_SELECTOR).length
+        : 0;
+    
+    return {
+        reactions: reactionsElement ? parseCount(reactionsElement.getAttribute('aria-label') || reactionsElement.textContent) || 0 : 0,
+        replies: Math.max(repliesElement ? parseCount(repliesElement.textContent) || 0 : 0, renderedReplies)
+    };
+}
+
+// Engagement last sent per comment URN, so unchanged counts are not written again
+const reportedEngagement = new Map();
+
+// Attach the reactions and replies of the user's comments on the page to their history entries
+// Runs with the periodic button check, so revisiting a post or the activity page refreshes the counts
+async function trackCommentEngagement() {
+    try {
+        const userInfo = await getKnownUserInfo();
+        // Without a name or profile to compare, every comment would look like the user's own
+        if (!canIdentifyUser(userInfo)) return;
         
-        // Try to find a "post" or "submit" button if pasting succeeded
-        if (success) {
-            debug.log('Comment insertion succeeded, looking for post button');
-            if (debug.isDebugMode) debug.showVisualFeedback('Text inserted successfully! Looking for post button...', null, 'success');
+        for (const commentElement of document.querySelectorAll(COMMENT_ITEM_SELECTOR)) {
+            const commentUrn = getCommentUrn(commentElement);
+            if (!commentUrn || !isOwnComment(commentElement, userInfo)) continue;
             
-            // Short wait to ensure LinkedIn's UI has processed the input
-            await new Promise(resolve => setTimeout(resolve, 500));
+            const engagement = readCommentEngagement(commentElement);
+            const key = `${engagement.reactions}|${engagement.replies}`;
+            if (reportedEngagement.get(commentUrn) === key) continue;
+            reportedEngagement.set(commentUrn, key);
             
-            // Try to find and click the post button
-            const postButtonSelectors = [
-                'button[aria-label*="Post"]',
-                'button[aria-label*="post"]',
-                'button.comments-comment-box__submit-button',
-                'button.artdeco-button--primary',
-                'button.comments-comment-box-comment__submit-button',
-                'button.artdeco-button[type="submit"]'
-            ];
-            
-            let postButton = null;
-            let postButtonSelector = '';
-            for (const selector of postButtonSelectors) {
-                const buttons = document.querySelectorAll(selector);
-                for (const button of buttons) {
-                    if (button.offsetParent !== null && 
-                        (button.textContent.includes('Post') || 
-                         button.getAttribute('aria-label')?.includes('Post'))) {
-                        postButton = button;
-                        postButtonSelector = selector;
-                        break;
-                    }
-                }
-                if (postButton) break;
+            // The background script ignores comments that are not in the history
+            const response = await chrome.runtime.sendMessage({ action: 'recordEngagement', commentUrn, ...engagement });
+            if (response && response.updated) {
+                debug.log('Comment engagement recorded', { commentUrn, ...engagement });
             }
+        }
+    } catch (error) {
+        debug.error('Error tracking comment engagement', error);
+    }
+}
+
+// History lookups per post URN, so each post is looked up once per page session
+const postHistoryLookups = new Map();
+
+// Find the comment the user already left on a post, in its thread or in the comment history
+// The thread also catches comments not made through the extension.
+// Only a lookup the user started (interactive) may open LinkedIn's Me menu to find out who they are
+// Resolves with { comment, source } where source is 'thread' or 'history', or null
+async function findPreviousComment(post, { interactive = false } = {}) {
+    if (interactive) {
+        userInfoLoaded = userInfoLoaded || getUserInfo();
+    }
+    const userInfo = await getKnownUserInfo();
+    
+    // Without a name or profile to compare, every comment would look like the user's own
+    if (canIdentifyUser(userInfo)) {
+        // Replies to other people's comments are part of a conversation, only top-level comments count
+        const ownComment = Array.from(post.querySelectorAll(COMMENT_ITEM_SELECTOR))
+            .find(commentElement => getTopLevelComment(commentElement) === commentElement && isOwnComment(commentElement, userInfo));
+        if (ownComment) {
+            return { comment: readComment(ownComment).text, source: 'thread' };
+        }
+    }
+    
+    const postUrn = getPostUrn(post);
+    if (!postUrn) return null;
+    
+    if (!postHistoryLookups.has(postUrn)) {
+        postHistoryLookups.set(postUrn, chrome.runtime.sendMessage({ action: 'getPostHistory', postUrn })
+            .then(response => {
+                // AI replies share the post's URN, but like replies in the thread they do not count
+                const posted = response && response.success
+                    ? response.entries.find(entry => entry.status === 'posted' && !entry.replyTo)
+                    : null;
+                return posted ? { comment: posted.comment, source: 'history' } : null;
+            })
+            .catch(error => {
+                debug.error('Error looking up post history', error);
+                return null;
+            }));
+    }
+    return postHistoryLookups.get(postUrn);
+}
+
+// Keep the history lookup of a post current after commenting on it
+// A posted comment is remembered right away; after a draft the history is read again, the user may post it by hand
+// Only for top-level comments: postReplyToComment never calls this, a reply is not a comment on the post
+function updatePostHistoryLookup(post, comment, { posted }) {
+    const postUrn = getPostUrn(post);
+    if (!postUrn) return;
+    
+    if (posted) {
+        postHistoryLookups.set(postUrn, Promise.resolve({ comment, source: 'history' }));
+    } else {
+        postHistoryLookups.delete(postUrn);
+    }
+}
+
+// Ask before commenting again on a post the user already commented on
+// Resolves with null when there is no earlier comment, otherwise with whether to go ahead
+async function confirmAnotherComment(post, question) {
+    const previous = await findPreviousComment(post, { interactive: true });
+    if (!previous) return null;
+    
+    const excerpt = previous.comment.length > 200 ? `${previous.comment.substring(0, 200)}...` : previous.comment;
+    return window.confirm(`You already commented on this post${excerpt ? `:\n\n"${excerpt}"` : '.'}\n\n${question}`);
+}
+
+// Turn an AI Comment button into its "Commented ✓" state, showing the earlier comment on hover
+function showCommentedState(button, comment) {
+    button.setAttribute('data-lcg-commented', 'true');
+    button.title = comment ? `You already commented on this post:\n${comment}` : 'You already commented on this post';
+    button.style.background = 'linear-gradient(135deg, #16a34a 0%, #22c55e 100%)';
+    button.style.boxShadow = '0 2px 6px rgba(22,163,74,0.2)';
+    
+    const label = button.querySelector('.lcg-button-text');
+    if (label) {
+        label.textContent = 'Commented ✓';
+    }
+}
+
+// Mark the AI Comment buttons of posts the user already commented on
+// Runs periodically, since a post's comments load after the post itself. A checked post is
+// only checked again once its comment list changes or the user's identity was looked up.
+async function markCommentedPosts() {
+    try {
+        const buttons = document.querySelectorAll('.linkedin-comment-generator-button:not([data-lcg-commented])');
+        for (const button of buttons) {
+            const post = button.closest(POST_CONTAINER_SELECTOR);
+            if (!post) continue;
             
-            if (postButton && !postButton.disabled) {
-                debug.log('Found post button, clicking it');
-                if (debug.isDebugMode) debug.showVisualFeedback(`Found post button with selector: ${postButtonSelector}`, postButton, 'success');
-                postButton.click();
-                await new Promise(resolve => setTimeout(resolve, 500));
-            } else {
-                debug.log('No post button found or button is disabled');
-                if (debug.isDebugMode) debug.showVisualFeedback('No post button found or button is disabled', null, 'warning');
+            const checkKey = `${post.querySelectorAll(COMMENT_ITEM_SELECTOR).length}|${userInfoLoaded ? 'identified' : 'passive'}`;
+            if (post.getAttribute('data-lcg-commented-checked') === checkKey) continue;
+            post.setAttribute('data-lcg-commented-checked', checkKey);
+            
+            const previous = await findPreviousComment(post);
+            if (previous) {
+                showCommentedState(button, previous.comment);
             }
-        } else {
-            if (debug.isDebugMode) debug.showVisualFeedback('All text insertion methods failed!', null, 'error');
         }
-        
-        return success;
     } catch (error) {
-        debug.error('Error in pasteComment', error);
-        if (debug.isDebugMode) debug.showVisualFeedback(`Paste comment error: ${error.message}`, null, 'error');
-        return false;
+        debug.error('Error marking commented posts', error);
+    }
+}
+
+// Wait for a newly published comment with the given text by the signed-in user to appear in scope.
+// Comments in existingComments were there before posting and are ignored.
+// Resolves with the comment element, or null if it does not show up in time.
+async function waitForPublishedComment(scope, text, existingComments, timeoutMs = 10000) {
+    userInfoLoaded = userInfoLoaded || getUserInfo();
+    const userInfo = await userInfoLoaded;
+    // LinkedIn may collapse long comments behind "see more", so match on the start
+    const expectedText = normalizeWhitespace(text).slice(0, 40);
+    
+    const findComment = () => Array.from(scope.querySelectorAll(COMMENT_ITEM_SELECTOR)).find(commentElement =>
+        !existingComments.has(commentElement) &&
+        normalizeWhitespace(readComment(commentElement).text).includes(expectedText) &&
+        isOwnComment(commentElement, userInfo)
+    );
+    
+    const commentElement = findComment() || await new Promise(resolve => {
+        const finish = (result) => {
+            observer.disconnect();
+            clearTimeout(timeoutId);
+            resolve(result);
+        };
+        const observer = new MutationObserver(() => {
+            const found = findComment();
+            if (found) finish(found);
+        });
+        const timeoutId = setTimeout(() => finish(null), timeoutMs);
+        observer.observe(scope, { childList: true, subtree: true, characterData: true });
+    });
+    
+    if (!commentElement) return null;
+    
+    // The comment is shown before LinkedIn confirms it, the URN arrives once it is saved
+    for (let retries = 0; retries < 6 && !getCommentUrn(commentElement); retries++) {
+        await new Promise(resolve => setTimeout(resolve, 500));
+    }
+    return commentElement;
+}
+
+// Submit an editor and confirm the comment was published in scope
+// Returns { success, commentUrn } or { success: false, submitted, error } where submitted means Post was clicked
+async function submitAndVerify(editor, text, scope) {
+    const existingComments = new Set(scope.querySelectorAll(COMMENT_ITEM_SELECTOR));
+    
+    if (!await submitEditor(editor)) {
+        return { success: false, error: 'Could not find LinkedIn\'s submit button' };
     }
+    
+    const commentElement = await waitForPublishedComment(scope, text, existingComments);
+    if (!commentElement) {
+        return { success: false, submitted: true, error: 'LinkedIn did not show the comment after posting. Check the post before trying again.' };
+    }
+    
+    const commentUrn = getCommentUrn(commentElement);
+    debug.log('Comment published', commentUrn);
+    return { success: true, commentUrn };
 }
 
-// Alternative approach to insert comments directly
-async function directCommentInsertion(comment, post) {
-    debug.log('Attempting direct comment insertion approach');
+// Function to post comment to a specific post element
+// Returns { success, commentUrn } once the comment shows up under the post, or { success: false, error }
+// With draft the comment is only inserted, leaving the caret at its end for the user to review and post
+async function postCommentToSpecificPost(comment, postElement, { draft = false } = {}) {
+    debug.log('Attempting to post comment to specific post');
     
     try {
-        // Try to find the closest comment section to the post
-        const commentSections = document.querySelectorAll('.comments-comment-box, .comments-comments-list, [data-test-id*="comments-section"]');
-        let closestCommentSection = null;
-        let minDistance = Infinity;
-        
-        // Find comment section closest to the post
-        const postRect = post.getBoundingClientRect();
-        for (const section of commentSections) {
-            const sectionRect = section.getBoundingClientRect();
-            const distance = Math.abs(sectionRect.top - postRect.bottom);
-            if (distance < minDistance) {
-                minDistance = distance;
-                closestCommentSection = section;
+        // Step 1: Open the post's comment box, unless it is already open
+        let editor = findPostCommentEditor(postElement);
+        if (!editor) {
+            const commentButton = findPostCommentButton(postElement);
+            if (!commentButton) {
+                debug.error('No comment button found in this post');
+                return { success: false, error: 'No comment button found in this post' };
             }
+            
+            commentButton.click();
+            await new Promise(resolve => setTimeout(resolve, 1500));
+            editor = findPostCommentEditor(postElement);
         }
         
-        if (!closestCommentSection) {
-            debug.log('No comment section found near post, looking for any comment section');
-            // Try to find any comment section that's visible
-            for (const section of commentSections) {
-                if (section.offsetParent !== null) {
-                    closestCommentSection = section;
-                    break;
-                }
-            }
-        }
-        
-        if (!closestCommentSection) {
-            debug.error('Could not find any comment section');
-            return false;
-        }
-        
-        debug.log('Found comment section', closestCommentSection);
-        
-        // First try: Look for existing comment button and click it
-        const commentBtns = post.querySelectorAll('button[aria-label*="comment" i], [data-control-name="comment"]');
-        for (const btn of commentBtns) {
-            if (btn.offsetParent !== null) {
-                debug.log('Clicking comment button in post');
-                btn.click();
-                await new Promise(resolve => setTimeout(resolve, 2000));
-                break;
-            }
-        }
-        
-        // Look for the comment box within the comment section
-        const commentBoxSelectors = [
-            'div[contenteditable="true"]', 
-            'div[role="textbox"]',
-            '[data-placeholder="Add a comment…"]',
-            '.comments-comment-texteditor',
-            'p[contenteditable="true"]'
-        ];
-        
-        let commentBox = null;
-        
-        // First try in the comment section
-        for (const selector of commentBoxSelectors) {
-            const boxes = closestCommentSection.querySelectorAll(selector);
-            for (const box of boxes) {
-                if (box.offsetParent !== null) {
-                    commentBox = box;
-                    break;
-                }
-            }
-            if (commentBox) break;
-        }
-        
-        // If not found, try in the entire document but within view
-        if (!commentBox) {
-            for (const selector of commentBoxSelectors) {
-                const boxes = document.querySelectorAll(selector);
-                for (const box of boxes) {
-                    if (box.offsetParent !== null) {
-                        const rect = box.getBoundingClientRect();
-                        // Check if visible in viewport
-                        if (rect.top >= 0 && rect.left >= 0 && 
-                            rect.bottom <= window.innerHeight && 
-                            rect.right <= window.innerWidth) {
-                            commentBox = box;
-                            break;
-                        }
-                    }
-                }
-                if (commentBox) break;
-            }
-        }
-        
-        if (!commentBox) {
-            debug.error('Could not find comment box in direct insertion approach');
-            return false;
-        }
-        
-        debug.log('Found comment box in direct approach', commentBox);
-        
-        // Focus the comment box multiple times
-        commentBox.focus();
-        await new Promise(resolve => setTimeout(resolve, 300));
-        commentBox.click();
-        await new Promise(resolve => setTimeout(resolve, 300));
-        commentBox.focus();
-        
-        // Try different insertion methods
-        let success = false;
-        
-        // Method 1: Set innerHTML
-        try {
-            commentBox.innerHTML = '';
-            commentBox.innerHTML = comment;
-            await new Promise(resolve => setTimeout(resolve, 300));
-            
-            if (commentBox.textContent.includes(comment)) {
-                success = true;
-            }
-        } catch (err) {
-            debug.error('innerHTML insertion failed', err);
-        }
-        
-        // Method 2: Direct property assignment
-        if (!success) {
-            try {
-                commentBox.textContent = comment;
-                await new Promise(resolve => setTimeout(resolve, 300));
-                
-                if (commentBox.textContent.includes(comment)) {
-                    success = true;
-                }
-            } catch (err) {
-                debug.error('textContent insertion failed', err);
-            }
-        }
-        
-        // Method 3: Word-by-word insertion
-        if (!success) {
-            try {
-                commentBox.innerHTML = '';
-                const words = comment.split(' ');
-                
-                for (const word of words) {
-                    // Type word
-                    document.execCommand('insertText', false, word + ' ');
-                    commentBox.dispatchEvent(new Event('input', { bubbles: true }));
-                    await new Promise(resolve => setTimeout(resolve, 50));
-                }
-                
-                if (commentBox.textContent.includes(comment.substring(0, 20))) {
-                    success = true;
-                }
-            } catch (err) {
-                debug.error('Word-by-word insertion failed', err);
-            }
-        }
-        
-        // Method 4: Selection-based insertion
-        if (!success) {
-            try {
-                // Create a text selection in the comment box
-                const range = document.createRange();
-                range.selectNodeContents(commentBox);
-                
-                const selection = window.getSelection();
-                selection.removeAllRanges();
-                selection.addRange(range);
-                
-                // Delete any existing content
-                document.execCommand('delete');
-                
-                // Insert the new text
-                document.execCommand('insertText', false, comment);
-                
-                if (commentBox.textContent.includes(comment.substring(0, 20))) {
-                    success = true;
-                }
-            } catch (err) {
-                debug.error('Selection-based insertion failed', err);
-            }
-        }
-        
-        if (success) {
-            debug.log('Successfully inserted comment text, looking for post button');
-            
-            // Trigger necessary events
-            ['input', 'change', 'keyup', 'blur', 'focus'].forEach(evt => {
-                commentBox.dispatchEvent(new Event(evt, { bubbles: true }));
-            });
-            
-            // Look for a post/submit button
-            await new Promise(resolve => setTimeout(resolve, 1000));
-            
-            const postButtonSelectors = [
-                'button[aria-label*="Post"]',
-                'button[aria-label*="post"]',
-                'button.comments-comment-box__submit-button',
-                'button.artdeco-button--primary',
-                'button.comments-comment-box-comment__submit-button',
-                'button.artdeco-button[type="submit"]'
-            ];
-            
-            let postButton = null;
-            // First look near the comment box
-            const commentBoxParent = commentBox.closest('form, div.comments-comment-box, div.comments-comment-texteditor');
-            
-            if (commentBoxParent) {
-                for (const selector of postButtonSelectors) {
-                    const buttons = commentBoxParent.querySelectorAll(selector);
-                    for (const button of buttons) {
-                        if (button.offsetParent !== null && 
-                            !button.disabled &&
-                            (!button.hasAttribute('disabled') || button.getAttribute('disabled') !== 'true')) {
-                            postButton = button;
-                            break;
-                        }
-                    }
-                    if (postButton) break;
-                }
-            }
-            
-            // If not found, look within a reasonable distance from the comment box
-            if (!postButton) {
-                for (const selector of postButtonSelectors) {
-                    const buttons = document.querySelectorAll(selector);
-                    for (const button of buttons) {
-                        if (button.offsetParent !== null && 
-                            !button.disabled &&
-                            (!button.hasAttribute('disabled') || button.getAttribute('disabled') !== 'true')) {
-                            const buttonRect = button.getBoundingClientRect();
-                            const commentBoxRect = commentBox.getBoundingClientRect();
-                            const distance = Math.sqrt(
-                                Math.pow(buttonRect.left - commentBoxRect.right, 2) + 
-                                Math.pow(buttonRect.top - commentBoxRect.bottom, 2)
-                            );
-                            
-                            // Only consider buttons that are reasonably close to the comment box
-                            if (distance < 300) {
-                                postButton = button;
-                                break;
-                            }
-                        }
-                    }
-                    if (postButton) break;
-                }
-            }
-            
-            if (postButton) {
-                debug.log('Found post button, clicking it', postButton);
-                postButton.click();
-                return true;
-            } else {
-                debug.log('Comment text inserted, but no post button found. User may need to press Enter to submit.');
-                
-                // As a last resort, try simulating Enter key press
-                commentBox.dispatchEvent(new KeyboardEvent('keydown', {
-                    key: 'Enter',
-                    code: 'Enter',
-                    keyCode: 13,
-                    which: 13,
-                    bubbles: true
-                }));
-                
-                return true;
-            }
-        }
-        
-        return false;
-    } catch (error) {
-        debug.error('Error in direct comment insertion', error);
-        return false;
-    }
-}
-
-// Add this new function below the existing directCommentInsertion function
-async function simpleTypeComment(comment) {
-    debug.log('Attempting enhanced simple type approach for comment insertion');
-    
-    try {
-        // First, try to find and click the comment button
-        const commentButtonSelectors = [
-            'button[aria-label*="comment" i]',
-            '[data-control-name="comment"]',
-            '[role="button"][aria-label*="comment" i]',
-            'button.comment-button',
-            '.comment-button',
-            'button[aria-label*="Add a comment"]',
-            'button[aria-label*="Reply"]',
-            '[data-control-name="reply"]'
-        ];
-        
-        let foundButton = false;
-        for (const selector of commentButtonSelectors) {
-            const buttons = document.querySelectorAll(selector);
-            for (const btn of buttons) {
-                if (btn.offsetParent !== null) {
-                    debug.log('Clicking comment button:', selector);
-                    btn.click();
-                    foundButton = true;
-                    // Wait for comment box to appear
-                    await new Promise(resolve => setTimeout(resolve, 2000));
-                    break;
-                }
-            }
-            if (foundButton) break;
-        }
-        
-        if (!foundButton) {
-            debug.error('No comment button found');
-            return false;
-        }
-        
-        // Now find the comment box with enhanced selectors
-        const commentBoxSelectors = [
-            '[contenteditable="true"]',
-            '[role="textbox"]',
-            '[data-placeholder="Add a comment…"]',
-            '[data-placeholder="Reply…"]',
-            '[aria-label*="Add a comment" i]',
-            '[aria-label*="Write a comment" i]',
-            '[aria-label*="Add your comment" i]',
-            '.ql-editor',
-            '.editor-content',
-            'div.comments-comment-box__content-editor',
-            // Add more modern LinkedIn comment box selectors
-            'div.comments-comment-texteditor__content',
-            'div.comments-comment-box-comment__text-editor',
-            'div[role="textbox"][data-test-id*="comment-box"]'
-        ];
-        
-        let commentBox = null;
-        for (const selector of commentBoxSelectors) {
-            const boxes = document.querySelectorAll(selector);
-            for (const box of boxes) {
-                if (box.offsetParent !== null) {
-                    commentBox = box;
-                    debug.log('Found comment box:', selector);
-                    break;
-                }
-            }
-            if (commentBox) break;
-        }
-        
-        if (!commentBox) {
+        if (!editor) {
             debug.error('No comment box found after clicking comment button');
-            return false;
-        }
-        
-        // Focus and prepare the comment box
-        commentBox.focus();
-        commentBox.click();
-        await new Promise(resolve => setTimeout(resolve, 300));
-        
-        // Clear existing content
-        commentBox.innerHTML = '';
-        
-        // Enhanced character typing with multiple fallback methods
-        const typeCharacter = async (char) => {
-            return new Promise(resolve => {
-                setTimeout(async () => {
-                    try {
-                        // Method 1: Use execCommand
-                        document.execCommand('insertText', false, char);
-                        
-                        // Method 2: Create and insert text node if needed
-                        if (!commentBox.textContent.includes(char)) {
-                            const range = document.createRange();
-                            const sel = window.getSelection();
-                            range.selectNodeContents(commentBox);
-                            range.collapse(false);
-                            sel.removeAllRanges();
-                            sel.addRange(range);
-                            
-                            const textNode = document.createTextNode(char);
-                            range.insertNode(textNode);
-                            
-                            // Move selection to end
-                            range.setStartAfter(textNode);
-                            range.collapse(true);
-                            sel.removeAllRanges();
-                            sel.addRange(range);
-                        }
-                        
-                        // Method 3: Simulate keyboard events
-                        commentBox.dispatchEvent(new KeyboardEvent('keydown', {
-                            key: char,
-                            code: `Key${char.toUpperCase()}`,
-                            bubbles: true
-                        }));
-                        
-                        commentBox.dispatchEvent(new InputEvent('beforeinput', {
-                            inputType: 'insertText',
-                            data: char,
-                            bubbles: true
-                        }));
-                        
-                        commentBox.dispatchEvent(new InputEvent('input', {
-                            inputType: 'insertText',
-                            data: char,
-                            bubbles: true
-                        }));
-                        
-                        commentBox.dispatchEvent(new KeyboardEvent('keyup', {
-                            key: char,
-                            code: `Key${char.toUpperCase()}`,
-                            bubbles: true
-                        }));
-                        
-                        // Fire input event to notify LinkedIn
-                        commentBox.dispatchEvent(new Event('input', { bubbles: true }));
-                        commentBox.dispatchEvent(new Event('change', { bubbles: true }));
-                        
-                        resolve();
-                    } catch (err) {
-                        debug.error(`Error typing character: ${char}`, err);
-                        resolve();
-                    }
-                }, 50); // Small delay between characters
-            });
-        };
-        
-        // Type each character with enhanced error handling
-        for (let i = 0; i < comment.length; i++) {
-            await typeCharacter(comment[i]);
+            return { success: false, error: 'No comment box found after clicking comment button' };
         }
         
-        debug.log('Comment typing completed');
-        
-        // Wait for LinkedIn to process the input
-        await new Promise(resolve => setTimeout(resolve, 1000));
-        
-        // Enhanced post button detection
-        const postButtonSelectors = [
-            'button[aria-label*="Post" i]',
-            'button[aria-label*="post" i]',
-            'button[aria-label*="Reply" i]',
-            'button[aria-label*="reply" i]',
-            'button.comments-comment-box__submit-button',
-            'button.artdeco-button[type="submit"]',
-            'button.artdeco-button--primary',
-            // Modern LinkedIn post button selectors
-            'button.comments-comment-box-comment__submit-button',
-            'button.comments-comment-texteditor__button',
-            'button.artdeco-button--4',
-            'button.artdeco-button--1',
-            'button.ml2',
-            'button.comments-comment-box__submit'
-        ];
-        
-        let postButton = null;
-        for (const selector of postButtonSelectors) {
-            const buttons = document.querySelectorAll(selector);
-            for (const button of buttons) {
-                // Check if button is visible and enabled
-                if (button.offsetParent !== null && !button.disabled) {
-                    // Check if it's near our comment box (in the same container or close by)
-                    const buttonRect = button.getBoundingClientRect();
-                    const commentBoxRect = commentBox.getBoundingClientRect();
-                    
-                    // Button should be below or to the right of the comment box and within reasonable distance
-                    const isRelated = (
-                        buttonRect.top >= commentBoxRect.top - 50 && 
-                        buttonRect.bottom <= commentBoxRect.bottom + 100 && 
-                        buttonRect.left >= commentBoxRect.left - 50
-                    ) || button.closest('form') === commentBox.closest('form');
-                    
-                    if (isRelated) {
-                        postButton = button;
-                        debug.log('Found related post button:', button);
-                        break;
-                    }
-                }
-            }
-            if (postButton) break;
-        }
-        
-        // Step 6: Click the post button or simulate Enter key
-        if (postButton) {
-            debug.log('Clicking post button');
-            postButton.click();
-            return true;
-        } else {
-            debug.log('No post button found, trying Enter key');
-            // Simulate pressing Enter key
-            commentBox.focus();
-            commentBox.dispatchEvent(new KeyboardEvent('keydown', {
-                key: 'Enter',
-                code: 'Enter',
-                keyCode: 13,
-                which: 13,
-                bubbles: true
-            }));
-            
-            // Also try both ctrl+Enter and shift+Enter as some platforms use these
-            await new Promise(resolve => setTimeout(resolve, 300));
-            commentBox.dispatchEvent(new KeyboardEvent('keydown', {
-                key: 'Enter',
-                code: 'Enter',
-                keyCode: 13,
-                which: 13,
-                ctrlKey: true,
-                bubbles: true
-            }));
-            
-            await new Promise(resolve => setTimeout(resolve, 300));
-            commentBox.dispatchEvent(new KeyboardEvent('keydown', {
-                key: 'Enter',
-                code: 'Enter',
-                keyCode: 13,
-                which: 13,
-                shiftKey: true,
-                bubbles: true
-            }));
-            
-            return true;
-        }
-    } catch (error) {
-        debug.error('Error in enhanced simple type approach', error);
-        return false;
-    }
-}
-
-// Add this new function for a reliable direct method of comment insertion
-async function forceCommentInsertion(comment) {
-    debug.log('Attempting FORCE comment insertion method');
-    
-    try {
-        // Step 1: Find and click any visible comment button
-        const allCommentButtons = document.querySelectorAll([
-            'button[aria-label*="comment" i]', 
-            'button.comment-button',
-            '[role="button"][aria-label*="comment" i]',
-            '[data-control-name="comment"]',
-            'button[aria-label*="Add a comment"]',
-            'button[aria-label*="Reply"]',
-            '.comment-button',
-            // Add modern LinkedIn comment button selectors
-            'button.comments-post-meta__comment-button',
-            'button.social-actions-button[aria-label*="comment" i]',
-            'button[type="button"][aria-label*="comment" i]',
-            'div[role="button"][aria-label*="comment" i]'
-        ].join(','));
-        
-        let commentButtonClicked = false;
-        debug.log(`Found ${allCommentButtons.length} potential comment buttons`);
-        
-        for (const btn of allCommentButtons) {
-            if (btn.offsetParent !== null) {
-                debug.log('Clicking visible comment button:', btn);
-                btn.click();
-                commentButtonClicked = true;
-                // Wait for comment box to appear
-                await new Promise(resolve => setTimeout(resolve, 1500));
-                break;
-            }
-        }
-        
-        if (!commentButtonClicked) {
-            debug.error('No visible comment button found');
-            return false;
-        }
-        
-        // Step 2: Find the comment box that appeared
-        const potentialCommentBoxes = document.querySelectorAll([
-            '[contenteditable="true"]',
-            '[role="textbox"]',
-            '[data-placeholder="Add a comment…"]',
-            '[data-placeholder="Reply…"]',
-            '[aria-label*="Add a comment" i]',
-            '[aria-label*="Write a comment" i]',
-            '[aria-label*="Add your comment" i]',
-            '.ql-editor',
-            '.editor-content',
-            'div.comments-comment-box__content-editor',
-            // Add more modern LinkedIn comment box selectors
-            'div.comments-comment-texteditor__content',
-            'div.comments-comment-box-comment__text-editor',
-            'div[role="textbox"][data-test-id*="comment-box"]'
-        ].join(','));
-        
-        let commentBox = null;
-        debug.log(`Found ${potentialCommentBoxes.length} potential comment boxes`);
-        
-        for (const box of potentialCommentBoxes) {
-            // Check if the element is visible and editable
-            if (box.offsetParent !== null) {
-                // Check if it's actually a comment box by testing if we can focus it
-                box.focus();
-                if (document.activeElement === box) {
-                    commentBox = box;
-                    debug.log('Found usable comment box:', box);
-                    break;
-                }
-            }
-        }
-        
-        if (!commentBox) {
-            debug.error('No usable comment box found');
-            return false;
-        }
-        
-        // Step 3: Focus and clear the comment box
-        commentBox.focus();
-        commentBox.click();
-        
-        // Wait for focus to take effect
-        await new Promise(resolve => setTimeout(resolve, 300));
-        
-        // Clear existing content
-        commentBox.textContent = '';
-        commentBox.innerHTML = '';
-        
-        // Step 4: Insert the comment text (using multiple methods)
-        debug.log('Inserting comment text using multiple methods');
-        
-        // Method 1: Simple text assignment with events
-        commentBox.textContent = comment;
-        commentBox.dispatchEvent(new Event('input', { bubbles: true }));
-        commentBox.dispatchEvent(new Event('change', { bubbles: true }));
-        
-        // Check if it worked
-        if (!commentBox.textContent.includes(comment.substring(0, 10))) {
-            debug.log('Method 1 failed, trying Method 2');
-            
-            // Method 2: execCommand approach
-            commentBox.focus();
-            document.execCommand('selectAll', false, null);
-            document.execCommand('delete', false, null);
-            document.execCommand('insertText', false, comment);
-            
-            // Check if it worked
-            if (!commentBox.textContent.includes(comment.substring(0, 10))) {
-                debug.log('Method 2 failed, trying Method 3');
-                
-                // Method 3: Character by character typing
-                commentBox.innerHTML = '';
-                for (let i = 0; i < comment.length; i++) {
-                    document.execCommand('insertText', false, comment[i]);
-                    await new Promise(resolve => setTimeout(resolve, 10));
-                }
-            }
+        // Step 2: Insert the comment text
+        if (!await insertIntoEditor(editor, comment)) {
+            debug.error('Comment text could not be inserted');
+            return { success: false, error: 'Comment text could not be inserted' };
         }
         
-        // Give LinkedIn time to process the text
-        await new Promise(resolve => setTimeout(resolve, 1000));
-        
-        // Step 5: Look for post/reply button with enhanced selectors
-        const postButtonSelectors = [
-            'button[aria-label*="Post" i]',
-            'button[aria-label*="post" i]',
-            'button[aria-label*="Reply" i]',
-            'button[aria-label*="reply" i]',
-            'button.comments-comment-box__submit-button',
-            'button.artdeco-button[type="submit"]',
-            'button.artdeco-button--primary',
-            // Modern LinkedIn post button selectors
-            'button.comments-comment-box-comment__submit-button',
-            'button.comments-comment-texteditor__button',
-            'button.artdeco-button--4',
-            'button.artdeco-button--1',
-            'button.ml2',
-            'button.comments-comment-box__submit'
-        ];
-        
-        let postButton = null;
-        for (const selector of postButtonSelectors) {
-            const buttons = document.querySelectorAll(selector);
-            for (const button of buttons) {
-                // Check if button is visible and enabled
-                if (button.offsetParent !== null && !button.disabled) {
-                    // Check if it's near our comment box (in the same container or close by)
-                    const buttonRect = button.getBoundingClientRect();
-                    const commentBoxRect = commentBox.getBoundingClientRect();
-                    
-                    // Button should be below or to the right of the comment box and within reasonable distance
-                    const isRelated = (
-                        buttonRect.top >= commentBoxRect.top - 50 && 
-                        buttonRect.bottom <= commentBoxRect.bottom + 100 && 
-                        buttonRect.left >= commentBoxRect.left - 50
-                    ) || button.closest('form') === commentBox.closest('form');
-                    
-                    if (isRelated) {
-                        postButton = button;
-                        debug.log('Found related post button:', button);
-                        break;
-                    }
-                }
-            }
-            if (postButton) break;
+        if (draft) {
+            moveCaretToEnd(editor);
+            updatePostHistoryLookup(postElement, comment, { posted: false });
+            return { success: true, draft: true };
         }
         
-        // Step 6: Click the post button or simulate Enter key
-        if (postButton) {
-            debug.log('Clicking post button');
-            postButton.click();
-            return true;
-        } else {
-            debug.log('No post button found, trying Enter key');
-            // Simulate pressing Enter key
-            commentBox.focus();
-            commentBox.dispatchEvent(new KeyboardEvent('keydown', {
-                key: 'Enter',
-                code: 'Enter',
-                keyCode: 13,
-                which: 13,
-                bubbles: true
-            }));
-            
-            // Also try both ctrl+Enter and shift+Enter as some platforms use these
-            await new Promise(resolve => setTimeout(resolve, 300));
-            commentBox.dispatchEvent(new KeyboardEvent('keydown', {
-                key: 'Enter',
-                code: 'Enter',
-                keyCode: 13,
-                which: 13,
-                ctrlKey: true,
-                bubbles: true
-            }));
-            
-            await new Promise(resolve => setTimeout(resolve, 300));
-            commentBox.dispatchEvent(new KeyboardEvent('keydown', {
-                key: 'Enter',
-                code: 'Enter',
-                keyCode: 13,
-                which: 13,
-                shiftKey: true,
-                bubbles: true
-            }));
-            
-            return true;
-        }
-    } catch (error) {
-        debug.error('Force comment insertion failed:', error);
-        return false;
-    }
-}
-
-// Function to post comment to a specific post element
-async function postCommentToSpecificPost(comment, postElement) {
-    debug.log('Attempting to post comment to specific post');
-    
-    try {
-        // Step 1: Find and click the main comment button within this specific post
-        // We need to avoid Reply buttons on existing comments
-        const commentButtonSelectors = [
-            'button[aria-label*="comment on" i]', // Main comment button usually says "Comment on [name]'s post"
-            'button[aria-label*="leave a comment" i]',
-            'button[aria-label*="Add a comment" i]',
-            'button.comment-button:not([aria-label*="reply" i])', // Exclude reply buttons
-            '[data-control-name="comment"]:not([aria-label*="reply" i])',
-            'button.social-actions-button[aria-label*="comment" i]:not([aria-label*="reply" i])'
-        ];
-        
-        let commentButton = null;
-        
-        // Search for comment button only within this post's action bar (not in comments section)
-        // Look specifically in the social actions area
-        const socialActionsAreas = postElement.querySelectorAll(
-            '.feed-shared-social-actions, .social-details-social-actions, .update-v2-social-actions, .feed-shared-social-action-bar'
-        );
-        
-        for (const actionArea of socialActionsAreas) {
-            for (const selector of commentButtonSelectors) {
-                const buttons = actionArea.querySelectorAll(selector);
-                for (const btn of buttons) {
-                    if (btn.offsetParent !== null) {
-                        // Double check it's not a reply button
-                        const ariaLabel = btn.getAttribute('aria-label') || '';
-                        const buttonText = btn.textContent.toLowerCase();
-                        
-                        if (!ariaLabel.toLowerCase().includes('reply') && 
-                            !buttonText.includes('reply')) {
-                            commentButton = btn;
-                            debug.log('Found main comment button in post action bar', btn);
-                            break;
-                        }
-                    }
-                }
-                if (commentButton) break;
-            }
-            if (commentButton) break;
-        }
-        
-        // Fallback: If not found in action areas, search the post but exclude reply buttons
-        if (!commentButton) {
-            for (const selector of commentButtonSelectors) {
-                const buttons = postElement.querySelectorAll(selector);
-                for (const btn of buttons) {
-                    if (btn.offsetParent !== null) {
-                        const ariaLabel = btn.getAttribute('aria-label') || '';
-                        const buttonText = btn.textContent.toLowerCase();
-                        
-                        // Make sure it's not a reply button and not inside a comments section
-                        if (!ariaLabel.toLowerCase().includes('reply') && 
-                            !buttonText.includes('reply') &&
-                            !btn.closest('.comments-comment-item')) {
-                            commentButton = btn;
-                            debug.log('Found comment button in post (fallback)', btn);
-                            break;
-                        }
-                    }
-                }
-                if (commentButton) break;
-            }
-        }
-        
-        if (!commentButton) {
-            debug.error('No comment button found in this post');
-            return false;
-        }
-        
-        // Click the comment button
-        commentButton.click();
-        await new Promise(resolve => setTimeout(resolve, 1500));
-        
-        // Step 2: Find the comment box that appeared (should be within or near this post)
-        let commentBox = null;
-        const commentBoxSelectors = [
-            '[contenteditable="true"]',
-            '[role="textbox"]',
-            '[data-placeholder="Add a comment…"]',
-            '.ql-editor',
-            'div.comments-comment-box__content-editor',
-            'div[aria-label*="Add a comment" i]'
-        ];
-        
-        // First try to find within the post
-        for (const selector of commentBoxSelectors) {
-            const boxes = postElement.querySelectorAll(selector);
-            for (const box of boxes) {
-                if (box.offsetParent !== null) {
-                    commentBox = box;
-                    debug.log('Found comment box within post', box);
-                    break;
-                }
-            }
-            if (commentBox) break;
-        }
-        
-        // If not found within post, look for the closest one below the post
-        if (!commentBox) {
-            const postRect = postElement.getBoundingClientRect();
-            let closestBox = null;
-            let minDistance = Infinity;
-            
-            for (const selector of commentBoxSelectors) {
-                const boxes = document.querySelectorAll(selector);
-                for (const box of boxes) {
-                    if (box.offsetParent !== null) {
-                        const boxRect = box.getBoundingClientRect();
-                        // Check if box is below the post and close to it
-                        if (boxRect.top > postRect.bottom && boxRect.top - postRect.bottom < 500) {
-                            const distance = boxRect.top - postRect.bottom;
-                            if (distance < minDistance) {
-                                minDistance = distance;
-                                closestBox = box;
-                            }
-                        }
-                    }
-                }
-            }
-            
-            if (closestBox) {
-                commentBox = closestBox;
-                debug.log('Found comment box near post', commentBox);
-            }
-        }
-        
-        if (!commentBox) {
-            debug.error('No comment box found after clicking comment button');
-            return false;
-        }
-        
-        // Step 3: Insert the comment text
-        commentBox.focus();
-        commentBox.click();
-        await new Promise(resolve => setTimeout(resolve, 300));
-        
-        // Clear and insert text
-        commentBox.textContent = '';
-        commentBox.innerHTML = '';
-        
-        // Try multiple insertion methods
-        commentBox.textContent = comment;
-        
-        // Trigger input events to make LinkedIn show the Post button
-        commentBox.dispatchEvent(new Event('input', { bubbles: true }));
-        commentBox.dispatchEvent(new Event('change', { bubbles: true }));
-        commentBox.dispatchEvent(new KeyboardEvent('keyup', { bubbles: true }));
-        
-        if (!commentBox.textContent.includes(comment.substring(0, 10))) {
-            document.execCommand('selectAll', false, null);
-            document.execCommand('delete', false, null);
-            document.execCommand('insertText', false, comment);
-            
-            // Trigger events again after execCommand
-            commentBox.dispatchEvent(new Event('input', { bubbles: true }));
-            commentBox.dispatchEvent(new Event('change', { bubbles: true }));
-        }
-        
-        // Wait for the Post button to appear (LinkedIn shows it after detecting text)
-        debug.log('Waiting for Post button to appear...');
-        
-        // Step 4: Find and click the Post button (should be near the comment box)
-        // The button appears dynamically after text is entered
-        const postButtonSelectors = [
-            'button.comments-comment-box__submit-button--cr', // The specific class from LinkedIn's current UI
-            'button[aria-label*="Post comment" i]',
-            'button[aria-label*="Comment" i].artdeco-button--primary',
-            'button.artdeco-button--primary:not([aria-label*="reply" i])',
-            'button.comments-comment-box__submit-button:not([aria-label*="reply" i])',
-            'button[type="submit"]:not([aria-label*="reply" i])'
-        ];
-        
-        let postButton = null;
-        let retries = 0;
-        const maxRetries = 5;
-        
-        // Retry finding the button as it may take time to appear
-        while (!postButton && retries < maxRetries) {
-            await new Promise(resolve => setTimeout(resolve, 1000));
-            const commentBoxRect = commentBox.getBoundingClientRect();
-        
-            // First try to find a "Post" or "Comment" button
-            for (const selector of postButtonSelectors) {
-                const buttons = document.querySelectorAll(selector);
-                for (const button of buttons) {
-                    if (button.offsetParent !== null && !button.disabled) {
-                        const buttonRect = button.getBoundingClientRect();
-                        // Check if button is near the comment box
-                        if (Math.abs(buttonRect.top - commentBoxRect.bottom) < 200) {
-                            const buttonText = button.textContent.toLowerCase().trim();
-                            const ariaLabel = (button.getAttribute('aria-label') || '').toLowerCase();
-                            
-                            // Look for "Post" or "Comment" buttons (LinkedIn uses "Comment" as the button text)
-                            if (buttonText === 'comment' || buttonText === 'post' || 
-                                buttonText.includes('post') || ariaLabel.includes('post') || 
-                                ariaLabel.includes('comment')) {
-                                postButton = button;
-                                debug.log('Found submit button near comment box', button);
-                                debug.log('Button text:', buttonText);
-                                break;
-                            }
-                        }
-                    }
-                }
-                if (postButton) break;
-            }
-            
-            if (!postButton) {
-                retries++;
-                debug.log(`Retry ${retries}/${maxRetries}: Button not found yet, waiting...`);
-            }
-        }
-        
-        // If no Post button found, look for Reply button as fallback (in case it's a reply scenario)
-        if (!postButton) {
-            for (const selector of ['button[aria-label*="Reply" i]', 'button.comments-comment-box__submit-button']) {
-                const buttons = document.querySelectorAll(selector);
-                for (const button of buttons) {
-                    if (button.offsetParent !== null && !button.disabled) {
-                        const buttonRect = button.getBoundingClientRect();
-                        if (Math.abs(buttonRect.top - commentBoxRect.bottom) < 200) {
-                            const buttonText = button.textContent.toLowerCase();
-                            if (buttonText.includes('reply')) {
-                                postButton = button;
-                                debug.log('Found REPLY button near comment box (fallback)', button);
-                                break;
-                            }
-                        }
-                    }
-                }
-                if (postButton) break;
-            }
-        }
-        
-        if (postButton) {
-            debug.log('Clicking post button');
-            postButton.click();
-            
-            // Also try mouse events
-            postButton.dispatchEvent(new MouseEvent('mousedown', {bubbles: true}));
-            postButton.dispatchEvent(new MouseEvent('mouseup', {bubbles: true}));
-            postButton.dispatchEvent(new MouseEvent('click', {bubbles: true}));
-            
-            return true;
-        } else {
-            // Try Enter key as fallback
-            debug.log('No post button found, trying Enter key');
-            commentBox.focus();
-            
-            // Try Ctrl+Enter first (most common)
-            commentBox.dispatchEvent(new KeyboardEvent('keydown', {
-                key: 'Enter',
-                code: 'Enter',
-                keyCode: 13,
-                ctrlKey: true,
-                bubbles: true
-            }));
-            
-            await new Promise(resolve => setTimeout(resolve, 300));
-            
-            // Try standard Enter
-            commentBox.dispatchEvent(new KeyboardEvent('keydown', {
-                key: 'Enter',
-                code: 'Enter',
-                keyCode: 13,
-                bubbles: true
-            }));
-            
-            return true;
+        // Step 3: Submit it and wait for it to appear under the post
+        const result = await submitAndVerify(editor, comment, postElement);
+        if (result.success) {
+            updatePostHistoryLookup(postElement, comment, { posted: true });
         }
+        return result;
     } catch (error) {
         debug.error('Error posting comment to specific post:', error);
-        return false;
+        return { success: false, error: error.message };
     }
 }
 
-// Add this new function for an ultra-aggressive comment insertion method
-async function ultraForceCommentInsertion(comment) {
-    debug.log('Attempting ULTRA-FORCE comment insertion - using all available techniques');
+// Function to post a reply into a specific comment's reply box
+// Returns { success, commentUrn } once the reply shows up in the thread, or { success: false, error }
+// With draft the reply is only inserted, like postCommentToSpecificPost
+async function postReplyToComment(reply, commentElement, { draft = false } = {}) {
+    debug.log('Attempting to post reply to comment');
     
     try {
-        // STEP 1: Find and click the comment button using ALL possible methods
-        let commentButtonClicked = false;
-        
-        // Method 1: Direct query and click
-        const commentButtonSelectors = [
-            'button[aria-label*="comment" i]',
-            'button.comment-button',
-            '[role="button"][aria-label*="comment" i]',
-            '[data-control-name="comment"]',
-            'button[aria-label*="Add a comment"]',
-            'button[aria-label*="Reply"]',
-            '.comment-button',
-            'button.comments-post-meta__comment-button',
-            'button.social-actions-button[aria-label*="comment" i]',
-            'button[type="button"][aria-label*="comment" i]',
-            'div[role="button"][aria-label*="comment" i]',
-            // Most recent LinkedIn selectors
-            'button.social-actions__button[aria-label*="comment" i]',
-            'div.social-action-button[aria-label*="comment" i]',
-            'button.comment-button[type="button"]'
-        ];
-        
-        for (const selector of commentButtonSelectors) {
-            if (commentButtonClicked) break;
-            
-            const buttons = document.querySelectorAll(selector);
-            debug.log(`Found ${buttons.length} buttons with selector: ${selector}`);
-            
-            for (const btn of buttons) {
-                if (btn.offsetParent !== null) {
-                    // Try multiple ways to click the button
-                    try {
-                        debug.log('Clicking comment button with direct click', btn);
-                        btn.click();
-                        
-                        // Also try MouseEvent simulation
-                        btn.dispatchEvent(new MouseEvent('mousedown', {bubbles: true}));
-                        btn.dispatchEvent(new MouseEvent('mouseup', {bubbles: true}));
-                        btn.dispatchEvent(new MouseEvent('click', {bubbles: true}));
-                        
-                        commentButtonClicked = true;
-                        
-                        // Wait for comment box to appear with a slightly randomized delay
-                        await new Promise(resolve => setTimeout(resolve, 1500 + Math.random() * 500));
-                        break;
-                    } catch (e) {
-                        debug.error('Error clicking button', e);
-                    }
-                }
-            }
+        // Step 1: Open the reply box with the comment's own Reply button
+        const replyButton = findCommentReplyButton(commentElement);
+        if (!replyButton) {
+            debug.error('No reply button found on this comment');
+            return { success: false, error: 'No reply button found on this comment' };
         }
         
-        // Method 2: Use document.evaluate to find comment buttons by text content
-        if (!commentButtonClicked) {
-            debug.log('Trying XPath to find comment buttons by text');
-            const xpathSelectors = [
-                "//button[contains(translate(., 'COMMENT', 'comment'), 'comment')]",
-                "//div[@role='button' and contains(translate(., 'COMMENT', 'comment'), 'comment')]",
-                "//button[contains(@aria-label, 'comment') or contains(@aria-label, 'Comment')]"
-            ];
-            
-            for (const xpath of xpathSelectors) {
-                if (commentButtonClicked) break;
-                
-                try {
-                    const result = document.evaluate(xpath, document, null, XPathResult.ORDERED_NODE_SNAPSHOT_TYPE, null);
-                    debug.log(`Found ${result.snapshotLength} buttons with XPath: ${xpath}`);
-                    
-                    for (let i = 0; i < result.snapshotLength; i++) {
-                        const btn = result.snapshotItem(i);
-                        if (btn && btn.offsetParent !== null) {
-                            debug.log('Clicking button found via XPath', btn);
-                            btn.click();
-                            commentButtonClicked = true;
-                            
-                            // Wait for comment box to appear
-                            await new Promise(resolve => setTimeout(resolve, 1800));
-                            break;
-                        }
-                    }
-                } catch (e) {
-                    debug.error('XPath error', e);
-                }
-            }
-        }
-        
-        if (!commentButtonClicked) {
-            debug.error('Failed to click any comment button');
-            // Continue anyway - the comment box might already be open
-        }
-        
-        // STEP 2: Find the comment box using ALL possible methods
-        let commentBox = null;
-        
-        // Method 1: Try standard selectors
-        const commentBoxSelectors = [
-            '[contenteditable="true"]',
-            '[role="textbox"]',
-            '[data-placeholder="Add a comment…"]',
-            '[data-placeholder="Reply…"]',
-            '[aria-label*="Add a comment" i]',
-            '[aria-label*="Write a comment" i]',
-            '[aria-label*="Add your comment" i]',
-            '.ql-editor',
-            '.editor-content',
-            'div.comments-comment-box__content-editor',
-            'div.comments-comment-texteditor__content',
-            'div.comments-comment-box-comment__text-editor',
-            'div[role="textbox"][data-test-id*="comment-box"]',
-            // Most recent LinkedIn selectors
-            'div.editor-container [contenteditable="true"]',
-            'div.comments-comment-box-comment__text-editor div[contenteditable="true"]',
-            'div.comments-comment-texteditor [contenteditable="true"]'
-        ];
-        
-        for (const selector of commentBoxSelectors) {
-            if (commentBox) break;
-            
-            const boxes = document.querySelectorAll(selector);
-            debug.log(`Found ${boxes.length} possible comment boxes with selector: ${selector}`);
-            
-            for (const box of boxes) {
-                if (box.offsetParent !== null) {
-                    try {
-                        // Test if we can actually focus and write to this element
-                        box.focus();
-                        if (document.activeElement === box || box.isContentEditable) {
-                            commentBox = box;
-                            debug.log('Found usable comment box', box);
-                            break;
-                        }
-                    } catch (e) {
-                        debug.error('Error testing comment box', e);
-                    }
-                }
-            }
-        }
-        
-        // Method 2: Find visible contenteditable elements that appeared after clicking comment
-        if (!commentBox) {
-            debug.log('Looking for recently appeared contenteditable elements');
-            const editableElements = document.querySelectorAll('[contenteditable="true"], [role="textbox"]');
-            
-            for (const el of editableElements) {
-                if (el.offsetParent !== null) {
-                    try {
-                        el.focus();
-                        await new Promise(resolve => setTimeout(resolve, 200));
-                        
-                        if (document.activeElement === el) {
-                            commentBox = el;
-                            debug.log('Found comment box via contenteditable search', el);
-                            break;
-                        }
-                    } catch (e) {
-                        debug.error('Error testing editable element', e);
-                    }
-                }
-            }
-        }
-        
-        if (!commentBox) {
-            debug.error('Could not find any usable comment box');
-            return false;
-        }
-        
-        // STEP 3: Focus and clear the comment box using multiple methods
-        debug.log('Preparing comment box for text insertion');
-        
-        // Method 1: Standard focus and clear
-        commentBox.focus();
-        commentBox.click();
-        
-        await new Promise(resolve => setTimeout(resolve, 300));
-        
-        // Clear content using multiple approaches
-        commentBox.textContent = '';
-        commentBox.innerHTML = '';
-        
-        try {
-            const selection = window.getSelection();
-            const range = document.createRange();
-            range.selectNodeContents(commentBox);
-            selection.removeAllRanges();
-            selection.addRange(range);
-            document.execCommand('delete', false, null);
-        } catch (e) {
-            debug.error('Error clearing comment box with selection', e);
-        }
-        
-        // STEP 4: Insert the comment text using ALL possible methods
-        debug.log('Inserting comment text using multiple aggressive methods');
-        
-        let textInserted = false;
-        
-        // Method 1: Direct clipboard manipulation
-        try {
-            debug.log('Attempting clipboard method');
-            await navigator.clipboard.writeText(comment);
-            
-            // Try both Ctrl+V and Command+V for cross-platform
-            const isMac = navigator.userAgent.indexOf('Mac') !== -1;
-            
-            commentBox.focus();
-            commentBox.dispatchEvent(new KeyboardEvent('keydown', {
-                key: 'v',
-                code: 'KeyV',
-                ctrlKey: !isMac,
-                metaKey: isMac,
-                bubbles: true
-            }));
-            
-            // Also try execCommand
-            document.execCommand('paste');
-            
-            await new Promise(resolve => setTimeout(resolve, 500));
-            
-            if (commentBox.textContent.includes(comment.substring(0, 10))) {
-                textInserted = true;
-                debug.log('Clipboard method successful');
-            }
-        } catch (e) {
-            debug.error('Clipboard method failed', e);
-        }
+        replyButton.click();
+        await new Promise(resolve => setTimeout(resolve, 1500));
         
-        // Method 2: Direct property assignment with events
-        if (!textInserted) {
-            try {
-                debug.log('Attempting direct text assignment');
-                commentBox.textContent = comment;
-                commentBox.dispatchEvent(new Event('input', { bubbles: true }));
-                commentBox.dispatchEvent(new Event('change', { bubbles: true }));
-                
-                await new Promise(resolve => setTimeout(resolve, 300));
-                
-                if (commentBox.textContent.includes(comment.substring(0, 10))) {
-                    textInserted = true;
-                    debug.log('Direct text assignment successful');
-                }
-            } catch (e) {
-                debug.error('Direct text assignment failed', e);
-            }
-        }
+        // Step 2: LinkedIn opens the reply box inside the top-level comment's thread
+        const thread = getTopLevelComment(commentElement);
+        const replyBox = Array.from(thread.querySelectorAll('[contenteditable="true"], [role="textbox"]'))
+            .find(box => box.offsetParent !== null);
         
-        // Method 3: execCommand with selection
-        if (!textInserted) {
-            try {
-                debug.log('Attempting execCommand insertText');
-                commentBox.focus();
-                document.execCommand('selectAll', false, null);
-                document.execCommand('delete', false, null);
-                document.execCommand('insertText', false, comment);
-                
-                await new Promise(resolve => setTimeout(resolve, 300));
-                
-                if (commentBox.textContent.includes(comment.substring(0, 10))) {
-                    textInserted = true;
-                    debug.log('execCommand insertText successful');
-                }
-            } catch (e) {
-                debug.error('execCommand insertText failed', e);
-            }
+        if (!replyBox) {
+            debug.error('No reply box found after clicking reply button');
+            return { success: false, error: 'No reply box found after clicking reply button' };
         }
         
-        // Method 4: Ultra-slow character by character typing with randomized delays
-        if (!textInserted) {
-            try {
-                debug.log('Attempting character-by-character typing');
-                commentBox.innerHTML = '';
-                commentBox.focus();
-                
-                // Type character by character with randomized delays
-                for (let i = 0; i < comment.length; i++) {
-                    // Wait a random amount of time between keypresses
-                    await new Promise(resolve => setTimeout(resolve, 10 + Math.random() * 20));
-                    
-                    // Combine multiple approaches for each character
-                    try {
-                        // 1. execCommand
-                        document.execCommand('insertText', false, comment[i]);
-                        
-                        // 2. Dispatch events
-                        const charCode = comment.charCodeAt(i);
-                        commentBox.dispatchEvent(new KeyboardEvent('keydown', {
-                            key: comment[i],
-                            keyCode: charCode,
-                            which: charCode,
-                            bubbles: true
-                        }));
-                        
-                        commentBox.dispatchEvent(new InputEvent('beforeinput', {
-                            inputType: 'insertText',
-                            data: comment[i],
-                            bubbles: true
-                        }));
-                        
-                        commentBox.dispatchEvent(new InputEvent('input', {
-                            inputType: 'insertText',
-                            data: comment[i],
-                            bubbles: true
-                        }));
-                        
-                        commentBox.dispatchEvent(new KeyboardEvent('keyup', {
-                            key: comment[i],
-                            keyCode: charCode,
-                            which: charCode,
-                            bubbles: true
-                        }));
-                    } catch (e) {
-                        debug.error(`Error typing character ${comment[i]}`, e);
-                    }
-                }
-                
-                await new Promise(resolve => setTimeout(resolve, 300));
-                
-                if (commentBox.textContent.includes(comment.substring(0, 10))) {
-                    textInserted = true;
-                    debug.log('Character-by-character typing successful');
-                }
-            } catch (e) {
-                debug.error('Character-by-character typing failed', e);
-            }
-        }
-        
-        // Method 5: Node insertion as absolute last resort
-        if (!textInserted) {
-            try {
-                debug.log('Attempting text node insertion');
-                // Clear existing content
-                while (commentBox.firstChild) {
-                    commentBox.removeChild(commentBox.firstChild);
-                }
-                
-                // Create a text node and insert it
-                const textNode = document.createTextNode(comment);
-                commentBox.appendChild(textNode);
-                
-                // Fire events
-                commentBox.dispatchEvent(new Event('input', { bubbles: true }));
-                commentBox.dispatchEvent(new Event('change', { bubbles: true }));
-                
-                await new Promise(resolve => setTimeout(resolve, 300));
-                
-                if (commentBox.textContent.includes(comment.substring(0, 10))) {
-                    textInserted = true;
-                    debug.log('Text node insertion successful');
-                }
-            } catch (e) {
-                debug.error('Text node insertion failed', e);
-            }
+        // Step 3: Insert the reply after the @mention LinkedIn pre-fills when replying to a reply
+        if (!await insertIntoEditor(replyBox, reply, { append: true })) {
+            debug.error('Reply text could not be inserted');
+            return { success: false, error: 'Reply text could not be inserted' };
         }
         
-        if (!textInserted) {
-            debug.error('All text insertion methods failed');
-            return false;
+        if (draft) {
+            moveCaretToEnd(replyBox);
+            return { success: true, draft: true };
         }
         
-        // STEP 5: Find the post button using ALL possible methods
-        debug.log('Giving LinkedIn time to enable post button');
-        // Wait longer to ensure LinkedIn processes the input and enables the Post button
-        await new Promise(resolve => setTimeout(resolve, 2000));
-        
-        let postButton = null;
-        
-        // Method 1: Use standard selectors and spatial relationship
-        const postButtonSelectors = [
-            'button[aria-label*="Post" i]',
-            'button[aria-label*="post" i]',
-            'button[aria-label*="Reply" i]',
-            'button[aria-label*="reply" i]',
-            'button.comments-comment-box__submit-button',
-            'button.artdeco-button[type="submit"]',
-            'button.artdeco-button--primary',
-            'button.comments-comment-box-comment__submit-button',
-            'button.comments-comment-texteditor__button',
-            'button.artdeco-button--4',
-            'button.artdeco-button--1',
-            'button.ml2',
-            'button.comments-comment-box__submit',
-            // Most recent LinkedIn selectors
-            'button.comments-comment-texteditor__controlButton--submit',
-            'button.artdeco-button.artdeco-button--4[type="submit"]',
-            'button.artdeco-button.artdeco-button--1[type="submit"]'
-        ];
-        
-        for (const selector of postButtonSelectors) {
-            if (postButton) break;
-            
-            const buttons = document.querySelectorAll(selector);
-            debug.log(`Found ${buttons.length} possible post buttons with selector: ${selector}`);
-            
-            for (const button of buttons) {
-                // Check if button is visible and enabled
-                if (button.offsetParent !== null && !button.disabled) {
-                    try {
-                        // Check if it's near our comment box or in the same form
-                        let isRelated = false;
-                        
-                        // Method 1: Check for buttons nearby using coordinates
-                        const buttonRect = button.getBoundingClientRect();
-                        const commentBoxRect = commentBox.getBoundingClientRect();
-                        
-                        // Should be below or to the right of the comment box and within reasonable distance
-                        if (
-                            buttonRect.top >= commentBoxRect.top - 100 && 
-                            buttonRect.bottom <= commentBoxRect.bottom + 100 && 
-                            Math.abs(buttonRect.left - commentBoxRect.right) < 300
-                        ) {
-                            isRelated = true;
-                        }
-                        
-                        // Method 2: Check ancestor relationships
-                        if (!isRelated) {
-                            // Find a common container that might be a form or comment component
-                            let commentParent = commentBox.parentElement;
-                            while (commentParent && !isRelated) {
-                                if (commentParent.contains(button)) {
-                                    isRelated = true;
-                                    break;
-                                }
-                                commentParent = commentParent.parentElement;
-                                
-                                // Avoid going too far up
-                                if (!commentParent || commentParent === document.body) break;
-                            }
-                        }
-                        
-                        // Method 3: Button is in a form with the comment box
-                        if (!isRelated && button.closest('form') === commentBox.closest('form')) {
-                            isRelated = true;
-                        }
-                        
-                        if (isRelated) {
-                            postButton = button;
-                            debug.log('Found related post button', button);
-                            break;
-                        }
-                    } catch (e) {
-                        debug.error('Error checking post button relationship', e);
-                    }
-                }
-            }
-        }
-        
-        // Method 2: Look for buttons with "Post" or "Reply" text
-        if (!postButton) {
-            debug.log('Looking for buttons with Post/Reply text');
-            const allButtons = document.querySelectorAll('button');
-            
-            for (const button of allButtons) {
-                if (button.offsetParent !== null && !button.disabled) {
-                    const buttonText = button.textContent.toLowerCase().trim();
-                    if (buttonText === 'post' || buttonText === 'reply') {
-                        // Check if it's reasonably close to our comment box
-                        const buttonRect = button.getBoundingClientRect();
-                        const commentBoxRect = commentBox.getBoundingClientRect();
-                        
-                        if (Math.abs(buttonRect.left - commentBoxRect.right) < 300 &&
-                            Math.abs(buttonRect.top - commentBoxRect.bottom) < 300) {
-                            postButton = button;
-                            debug.log('Found post button by text content', button);
-                            break;
-                        }
-                    }
-                }
-            }
-        }
-        
-        // Method 3: Look for any enabled, visible button near the comment box that appeared recently
-        if (!postButton) {
-            debug.log('Looking for any enabled button near comment box');
-            const allButtons = document.querySelectorAll('button');
-            
-            for (const button of allButtons) {
-                if (button.offsetParent !== null && !button.disabled) {
-                    // Check if it's close to our comment box
-                    const buttonRect = button.getBoundingClientRect();
-                    const commentBoxRect = commentBox.getBoundingClientRect();
-                    
-                    if (buttonRect.bottom >= commentBoxRect.bottom - 50 &&
-                        buttonRect.bottom <= commentBoxRect.bottom + 100 &&
-                        Math.abs(buttonRect.left - commentBoxRect.right) < 300) {
-                        
-                        // Check button styles for clues - post buttons are often primary color
-                        const style = window.getComputedStyle(button);
-                        const backgroundColor = style.backgroundColor.toLowerCase();
-                        
-                        // LinkedIn's primary button color is often blue or has a solid color
-                        if (backgroundColor !== 'transparent' && backgroundColor !== 'rgba(0, 0, 0, 0)') {
-                            postButton = button;
-                            debug.log('Found possible post button by position and styling', button);
-                            break;
-                        }
-                    }
-                }
-            }
-        }
-        
-        // STEP 6: Try to submit the comment
-        if (postButton) {
-            debug.log('Clicking post button using multiple methods');
-            
-            try {
-                // Method 1: Native click
-                postButton.click();
-                
-                // Method 2: MouseEvent simulation
-                postButton.dispatchEvent(new MouseEvent('mousedown', {bubbles: true}));
-                postButton.dispatchEvent(new MouseEvent('mouseup', {bubbles: true}));
-                postButton.dispatchEvent(new MouseEvent('click', {bubbles: true}));
-                
-                // Wait to see if the comment was posted
-                await new Promise(resolve => setTimeout(resolve, 2000));
-                return true;
-            } catch (e) {
-                debug.error('Error clicking post button', e);
-            }
-        }
-        
-        // Fallback: Try pressing Enter key in multiple ways
-        debug.log('No post button found or button click failed, trying Enter key combinations');
-        
-        // Ensure comment box is still focused
-        commentBox.focus();
-        await new Promise(resolve => setTimeout(resolve, 300));
-        
-        // Method 1: Standard Enter
-        commentBox.dispatchEvent(new KeyboardEvent('keydown', {
-            key: 'Enter',
-            code: 'Enter',
-            keyCode: 13,
-            which: 13,
-            bubbles: true
-        }));
-        
-        await new Promise(resolve => setTimeout(resolve, 500));
-        
-        // Method 2: Ctrl+Enter
-        commentBox.dispatchEvent(new KeyboardEvent('keydown', {
-            key: 'Enter',
-            code: 'Enter',
-            keyCode: 13,
-            which: 13,
-            ctrlKey: true,
-            bubbles: true
-        }));
-        
-        await new Promise(resolve => setTimeout(resolve, 500));
-        
-        // Method 3: Shift+Enter
-        commentBox.dispatchEvent(new KeyboardEvent('keydown', {
-            key: 'Enter',
-            code: 'Enter',
-            keyCode: 13,
-            which: 13,
-            shiftKey: true,
-            bubbles: true
-        }));
-        
-        await new Promise(resolve => setTimeout(resolve, 500));
-        
-        // Method 4: Meta+Enter (Cmd+Enter on Mac)
-        commentBox.dispatchEvent(new KeyboardEvent('keydown', {
-            key: 'Enter',
-            code: 'Enter',
-            keyCode: 13,
-            which: 13,
-            metaKey: true,
-            bubbles: true
-        }));
-        
-        return true;
+        // Step 4: Submit it and wait for it to appear in the thread
+        return await submitAndVerify(replyBox, reply, thread);
     } catch (error) {
-        debug.error('Ultra-force comment insertion failed:', error);
-        return false;
+        debug.error('Error posting reply to comment:', error);
+        return { success: false, error: error.message };
     }
 }
 
@@ -3747,8 +3506,11 @@ function initialize() {
         
         // Initial run with a longer delay to ensure LinkedIn has fully loaded
         setTimeout(() => {
-            // Add comment generator buttons to posts
+            // Add comment generator buttons to posts and reply buttons to comments
             addButtonsToPosts();
+            addReplyButtonsToComments();
+            trackCommentEngagement();
+            markCommentedPosts();
             
             // Insert a marker to indicate the extension is active
             const marker = document.createElement('div');
@@ -3780,6 +3542,10 @@ function initialize() {
         // Set up observer for DOM changes to detect new posts
         setupMutationObserver();
         
+        // Track the post the user works with, for the popup
+        document.addEventListener('click', trackPostInteraction, true);
+        document.addEventListener('focusin', trackPostInteraction, true);
+        
         // Add diagnostic click handler to help debug issues (only in debug mode)
         document.addEventListener('click', (e) => {
             // Check if user clicked with Alt key pressed (diagnostic mode)
@@ -3814,6 +3580,7 @@ function setupMutationObserver() {
             if (hasRelevantChanges) {
                 setTimeout(() => {
                     addButtonsToPosts();
+                    addReplyButtonsToComments();
                 }, 500);
             }
         });
@@ -3827,6 +3594,9 @@ function setupMutationObserver() {
         // Also check periodically (LinkedIn loads content dynamically)
         const intervalId = setInterval(() => {
             addButtonsToPosts();
+            addReplyButtonsToComments();
+            trackCommentEngagement();
+            markCommentedPosts();
         }, 3000);
         
         // Store interval ID for potential cleanup
@@ -3847,16 +3617,19 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     
     try {
         if (request.action === 'postComment') {
-            // Handle posting comment from popup
-            if (request.comment) {
-                ultraForceCommentInsertion(request.comment).then(success => {
-                    sendResponse({ success, error: success ? null : 'Failed to post comment' });
+            // Handle posting comment from popup, on the post it was generated for
+            const post = request.postId ? findPostById(request.postId) : null;
+            if (!request.comment) {
+                sendResponse({ success: false, error: 'No comment provided' });
+            } else if (!post) {
+                sendResponse({ success: false, error: 'The post is no longer on the page. Reopen the popup and try again.' });
+            } else {
+                postCommentToSpecificPost(request.comment, post, { draft: !!request.draft }).then(result => {
+                    sendResponse(result);
                 }).catch(error => {
                     debug.error('Error posting comment from popup', error);
                     sendResponse({ success: false, error: error.message });
                 });
-            } else {
-                sendResponse({ success: false, error: 'No comment provided' });
             }
             return true; // Keep message channel open for async response
         } else if (request.action === 'pasteComment') {
@@ -3880,8 +3653,29 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
             // Get the currently viewed post content
             const post = findCurrentPost();
             if (post) {
-                const content = extractPostContent(post);
-                sendResponse({ success: true, content });
+                // Read the ID before expanding the post, which changes its text
+                const postId = getPostId(post);
+                selectedPost = { postId, element: post };
+                SETTINGS.load().then(settings => extractFullPostContent(post, settings)).then(async postContent => {
+                    // Extraction may have loaded more comments, so look for the user's own comment afterwards
+                    const previousComment = await findPreviousComment(post, { interactive: true });
+                    // The popup cannot read LinkedIn's page, so it gets the name for the voice profile from here
+                    const userInfo = await userInfoLoaded;
+                    sendResponse({ 
+                        success: true, 
+                        content: postContent.text, 
+                        caption: getPostCaption(postContent), 
+                        postId, 
+                        history: getHistoryPostFields(post, postContent), 
+                        post: postContent, 
+                        authorKey: getAuthorKey(post), 
+                        previousComment, 
+                        commenter: userInfo.name && userInfo.name !== 'unknown' ? userInfo.name : '' 
+                    });
+                }).catch(error => {
+                    debug.error('Error extracting selected post', error);
+                    sendResponse({ success: false, error: error.message });
+                });
             } else {
                 sendResponse({ success: false, error: 'No post found' });
             }
@@ -0,0 +1,107 @@
+/**
+ * LinkedIn Comment Generator - Streaming Generation Client
+ *
+ * Loaded by the content script and the popup. Opens a long-lived port to the
+ * background script so generated text arrives while the model is still writing.
+ */
+const GENERATION = {
+    /**
+     * Name of the port the background script listens on
+     */
+    PORT_NAME: 'generateComment',
+    
+    /**
+     * Generate a comment in the background script, receiving text as it is produced
+     * The port protocol: the client posts { action: 'start', data } and receives
+     * { type: 'chunk', text } messages, then { type: 'done', comment },
+     * { type: 'error', error } or { type: 'cancelled' }. Posting { action: 'cancel' }
+     * or disconnecting aborts.
+     * @param {Object} data - Request data as accepted by the background script (content, hint, tone, model, ...),
+     *                        plus an optional requestKey so the request can be cancelled with GENERATION.cancel
+     *
+     * @param {Object} options - { onChunk(text, fullText), signal } where signal is an AbortSignal
+     * @returns {Promise<string>} The finished comment; rejects with an AbortError when cancelled
+     */
+    stream(data, { onChunk = null, signal = null } = {}) {
+        return new Promise((resolve, reject) => {
+            if (signal && signal.aborted) {
+                reject(GENERATION.cancelledError());
+                return;
+            }
+            
+            const port = chrome.runtime.connect({ name: GENERATION.PORT_NAME });
+            let fullText = '';
+            let settled = false;
+            
+            const finish = (callback, value) => {
+                if (settled) return;
+                settled = true;
+                if (signal) {
+                    signal.removeEventListener('abort', cancel);
+                }
+                port.disconnect();
+                callback(value);
+            };
+            
+            const cancel = () => {
+                try {
+                    port.postMessage({ action: 'cancel' });
+                } catch (error) {
+                    // The port is already closed, disconnecting below is enough
+                }
+                finish(reject, GENERATION.cancelledError());
+            };
+            
+            port.onMessage.addListener((message) => {
+                if (message.type === 'chunk') {
+                    fullText += message.text;
+                    if (onChunk) {
+                        onChunk(message.text, fullText);
+                    }
+                } else if (message.type === 'done') {
+                    finish(resolve, message.comment);
+                } else if (message.type === 'error') {
+                    finish(reject, new Error(message.error || 'Unknown error occurred'));
+                } else if (message.type === 'cancelled') {
+                    finish(reject, GENERATION.cancelledError());
+                }
+            });
+            
+            port.onDisconnect.addListener(() => {
+                const reason = chrome.runtime.lastError
+                    ? chrome.runtime.lastError.message
+                    : 'Connection to the background script was lost';
+                finish(reject, new Error(reason));
+            });
+            
+            if (signal) {
+                signal.addEventListener('abort', cancel);
+            }
+            
+            port.postMessage({ action: 'start', data });
+        });
+    },
+    
+    /**
+     * Cancel every pending generation started with a request key, e.g. all candidates for one post
+     * @param {string} requestKey - The key passed as data.requestKey to GENERATION.stream
+     * @returns {Promise<void>}
+     */
+    async cancel(requestKey) {
+        try {
+            await chrome.runtime.sendMessage({ action: 'cancelGeneration', requestKey });
+        } catch (error) {
+            // The background script restarted, so nothing is pending any more
+        }
+    },
+    
+    /**
+     * Build the error a cancelled generation rejects with
+     * @returns {Error} An error named AbortError, like a cancelled fetch
+     */
+    cancelledError() {
+        const error = new Error('Generation cancelled');
+        error.name = 'AbortError';
+        return error;
+    }
+};
@@ -0,0 +1,321 @@
+/**
+ * LinkedIn Comment Generator - Comment History
+ *
+ * Keeps every generated and posted comment in the extension's IndexedDB.
+ * Loaded by the background script and the extension pages. Content scripts run
+ * in LinkedIn's origin and cannot open this database, so they send
+ * addHistory / updateHistory messages to the background script instead.
+ */
+const HISTORY = {
+    DB_NAME: 'linkedinCommentGenerator',
+    DB_VERSION: 2,
+    STORE: 'comments',
+    
+    // Format of JSON exports, independent of the database schema
+    EXPORT_VERSION: 1,
+    
+    // Promise of the open database, shared by every request
+    dbOpened: null,
+    
+    /**
+     * What happened to a comment after it was generated
+     */
+    STATUSES: [
+        { value: 'generated', label: 'Generated' },
+        { value: 'draft', label: 'Inserted as draft' },
+        { value: 'posted', label: 'Posted' },
+        { value: 'failed', label: 'Failed to post' }
+    ],
+    
+    /**
+     * Fields that can be exported, in column order
+     */
+    EXPORT_FIELDS: [
+        { name: 'createdAt', label: 'Generated at' },
+        { name: 'postedAt', label: 'Posted at' },
+        { name: 'updatedAt', label: 'Updated at' },
+        { name: 'status', label: 'Status' },
+        { name: 'error', label: 'Posting error' },
+        { name: 'author', label: 'Post author' },
+        { name: 'authorProfileUrl', label: 'Author profile' },
+        { name: 'postUrn', label: 'Post URN' },
+        { name: 'postUrl', label: 'Post URL' },
+        { name: 'postExcerpt', label: 'Post excerpt' },
+        { name: 'replyTo', label: 'Replied-to comment' },
+        { name: 'comment', label: 'Comment' },
+        { name: 'generatedComments', label: 'Generated candidates' },
+        { name: 'edited', label: 'Edited before posting' },
+        { name: 'commentUrn', label: 'Comment URN' },
+        { name: 'reactions', label: 'Reactions' },
+        { name: 'replies', label: 'Replies' },
+        { name: 'engagementCheckedAt', label: 'Engagement checked at' },
+        { name: 'tone', label: 'Tone' },
+        { name: 'model', label: 'Model' },
+        { name: 'template', label: 'Template' },
+        { name: 'hint', label: 'Hint' }
+    ],
+    
+    // Fields an import needs: the comment itself, postUrn and createdAt to skip duplicates, commentUrn to keep tracking engagement
+    IMPORT_FIELDS: ['comment', 'postUrn', 'commentUrn', 'createdAt'],
+    
+    // Timestamps, exported as ISO dates
+    DATE_FIELDS: ['createdAt', 'postedAt', 'updatedAt', 'engagementCheckedAt'],
+    
+    /**
+     * Open the database, creating the store on first use and adding indexes of later versions
+     * @returns {Promise<IDBDatabase>}
+     */
+    open() {
+        if (!HISTORY.dbOpened) {
+            HISTORY.dbOpened = new Promise((resolve, reject) => {
+                const request = indexedDB.open(HISTORY.DB_NAME, HISTORY.DB_VERSION);
+                
+                request.onupgradeneeded = (event) => {
+                    let store;
+                    if (event.oldVersion < 1) {
+                        store = request.result.createObjectStore(HISTORY.STORE, { keyPath: 'id', autoIncrement: true });
+                        store.createIndex('postUrn', 'postUrn');
+                        store.createIndex('createdAt', 'createdAt');
+                    } else {
+                        store = request.transaction.objectStore(HISTORY.STORE);
+                    }
+                    // Version 2: engagement is looked up by the URN of the posted comment
+                    if (event.oldVersion < 2) {
+                        store.createIndex('commentUrn', 'commentUrn');
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => {
+                    HISTORY.dbOpened = null;
+                    reject(request.error);
+                };
+            });
+        }
+        return HISTORY.dbOpened;
+    },
+    
+    /**
+     * Run a request against the comments store inside a transaction
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} callback - Receives the object store and returns an IDBRequest
+     * @returns {Promise<*>} The request result
+     */
+    async run(mode, callback) {
+        const db = await HISTORY.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(HISTORY.STORE, mode);
+            const request = callback(transaction.objectStore(HISTORY.STORE));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    },
+    
+    /**
+     * Store a new entry
+     * @param {Object} entry - { postUrn, postUrl, author, authorProfileUrl, postExcerpt, replyTo, comment,
+     *                         generatedComments, tone, model, template, status, edited, commentUrn }
+     * @returns {Promise<number>} ID of the stored entry
+     */
+    async add(entry) {
+        const now = Date.now();
+        return HISTORY.run('readwrite', store => store.add({
+            status: 'generated',
+            edited: false,
+            commentUrn: null,
+            postedAt: null,
+            ...entry,
+            createdAt: entry.createdAt || now,
+            updatedAt: now
+        }));
+    },
+    
+    /**
+     * Change fields of a stored entry
+     * The read and the write share one transaction so concurrent updates of an entry don't overwrite each other.
+     * @param {number} id - ID returned by add
+     * @param {Object|Function} changes - Fields to overwrite, or a function that receives the stored entry
+     *                                    and returns them, or null to leave the entry unchanged
+     * @returns {Promise<Object|null>} The updated entry, or null if it no longer exists or was left unchanged
+     */
+    async update(id, changes) {
+        const db = await HISTORY.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(HISTORY.STORE, 'readwrite');
+            const store = transaction.objectStore(HISTORY.STORE);
+            let updated = null;
+            
+            const request = store.get(id);
+            request.onsuccess = () => {
+                if (!request.result) return;
+                const fields = typeof changes === 'function' ? changes(request.result) : changes;
+                if (!fields) return;
+                updated = { ...request.result, ...fields, id, updatedAt: Date.now() };
+                store.put(updated);
+            };
+            transaction.oncomplete = () => resolve(updated);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    },
+    
+    /**
+     * Read the entries of one post, newest first
+     * @param {string} postUrn - URN of the post
+     * @returns {Promise<Object[]>}
+     */
+    async getByPost(postUrn) {
+        const entries = await HISTORY.run('readonly', store => store.index('postUrn').getAll(postUrn));
+        return entries.sort((a, b) => b.createdAt - a.createdAt);
+    },
+    
+    /**
+     * Attach the reactions and replies a posted comment received to its history entries
+     * Entries whose counts are unchanged are not written, the feed reports the same counts on every visit.
+     * @param {string} commentUrn - URN LinkedIn gave the comment
+     * @param {Object} engagement - { reactions, replies }
+     * @returns {Promise<number>} Number of entries whose counts changed
+     */
+    async recordEngagement(commentUrn, { reactions, replies }) {
+        const entries = await HISTORY.run('readonly', store => store.index('commentUrn').getAll(commentUrn));
+        let updated = 0;
+        for (const entry of entries) {
+            const changed = await HISTORY.update(entry.id, stored => (
+                stored.reactions === reactions && stored.replies === replies
+                    ? null
+                    : { reactions, replies, engagementCheckedAt: Date.now() }
+            ));
+            if (changed) updated++;
+        }
+        return updated;
+    },
+    
+    /**
+     * Delete an entry
+     * @param {number} id - ID of the entry
+     * @returns {Promise<void>}
+     */
+    async remove(id) {
+        await HISTORY.run('readwrite', store => store.delete(id));
+    },
+    
+    /**
+     * Read every entry, newest first
+     * @returns {Promise<Object[]>}
+     */
+    async getAll() {
+        const entries = await HISTORY.run('readonly', store => store.index('createdAt').getAll());
+        return entries.reverse();
+    },
+    
+    /**
+     * Store entries from an export, skipping posts the history already has
+     * Every entry of a new post is kept, since a post can have several generations.
+     * Entries without a post URN are skipped when an entry with the same comment and time exists.
+     * @param {Object[]} entries - Entries as exported by toJson
+     * @returns {Promise<Object>} { added, skipped }
+     */
+    async import(entries) {
+        const existing = await HISTORY.getAll();
+        const knownPosts = new Set(existing.map(entry => entry.postUrn).filter(Boolean));
+        const knownComments = new Set(existing.map(entry => `${entry.createdAt}|${entry.comment}`));
+        let added = 0;
+        
+        for (const entry of entries) {
+            const { id, ...fields } = entry;
+            
+            // Exports store dates as ISO strings, the history keys comments by timestamp
+            HISTORY.DATE_FIELDS.forEach(name => {
+                if (typeof fields[name] === 'string') {
+                    fields[name] = Date.parse(fields[name]) || null;
+                }
+            });
+            
+            if (typeof fields.comment !== 'string' ||
+                (fields.postUrn ? knownPosts.has(fields.postUrn) : knownComments.has(`${fields.createdAt}|${fields.comment}`))) {
+                continue;
+            }
+            
+            await HISTORY.add(fields);
+            knownComments.add(`${fields.createdAt}|${fields.comment}`);
+            added++;
+        }
+        
+        return { added, skipped: entries.length - added };
+    },
+    
+    /**
+     * Serialize entries as JSON, keeping only the chosen fields
+     * The default of every field makes a complete backup; an import needs at least IMPORT_FIELDS.
+     * @param {Object[]} entries - Entries to export
+     * @param {string[]} fields - Names from EXPORT_FIELDS
+     * @returns {string}
+     */
+    toJson(entries, fields = HISTORY.EXPORT_FIELDS.map(({ name }) => name)) {
+        return JSON.stringify({
+            version: HISTORY.EXPORT_VERSION,
+            exportedAt: new Date().toISOString(),
+            entries: entries.map(entry => Object.fromEntries(fields.map(name => [name, HISTORY.exportValue(entry, name)])))
+        }, null, 2);
+    },
+    
+    /**
+     * Serialize entries as CSV with a header row, keeping only the chosen fields
+     * Cells that a spreadsheet would run as a formula get a leading quote, since posts, authors
+     * and replied-to comments are text written by other LinkedIn members.
+     * @param {Object[]} entries - Entries to export
+     * @param {string[]} fields - Names from EXPORT_FIELDS
+     * @returns {string}
+     */
+    toCsv(entries, fields) {
+        const escape = value => {
+            let text = Array.isArray(value) ? value.join('\n') : String(value ?? '');
+            if (/^[=+\-@\t\r]/.test(text)) {
+                text = `'${text}`;
+            }
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        
+        return [fields, ...entries.map(entry => fields.map(name => HISTORY.exportValue(entry, name)))]
+            .map(row => row.map(escape).join(','))
+            .join('\r\n');
+    },
+    
+    /**
+     * Read a field for export, turning timestamps into ISO dates
+     * @param {Object} entry - History entry
+     * @param {string} name - Field name
+     * @returns {*}
+     */
+    exportValue(entry, name) {
+        const value = entry[name];
+        if (HISTORY.DATE_FIELDS.includes(name)) {
+            return value ? new Date(value).toISOString() : null;
+        }
+        return value ?? null;
+    },
+    
+    /**
+     * Find entries matching a search and filters, newest first
+     * @param {Object} filters - { search, author, tone, status, from, to } where from and to are timestamps
+     * @returns {Promise<Object[]>}
+     */
+    async query({ search = '', author = '', tone = '', status = '', from = null, to = null } = {}) {
+        const terms = search.toLowerCase().split(/\s+/).filter(Boolean);
+        
+        return (await HISTORY.getAll()).filter(entry => {
+            if (author && entry.author !== author) return false;
+            if (tone && entry.tone !== tone) return false;
+            if (status && entry.status !== status) return false;
+            if (from && entry.createdAt < from) return false;
+            if (to && entry.createdAt > to) return false;
+            
+            // Every search word has to appear in the comment, the post or its author
+            const text = [entry.comment, entry.postExcerpt, entry.author, entry.replyTo]
+                .filter(Boolean)
+                .join(' ')
+                .toLowerCase();
+            return terms.every(term => text.includes(term));
+        });
+    }
+};
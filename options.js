@@ -0,0 +1,301 @@
+/**
+ * LinkedIn Comment Generator - Options Script
+ *
+ * Loads and saves the extension settings shown on the options page.
+ */
+document.addEventListener('DOMContentLoaded', function() {
+    const form = document.getElementById('settingsForm');
+    const statusElement = document.getElementById('status');
+    const defaultToneSelect = document.getElementById('defaultTone');
+    const defaultModelSelect = document.getElementById('defaultModel');
+    const commentLengthSelect = document.getElementById('commentLength');
+    const defaultTemplateSelect = document.getElementById('defaultTemplate');
+    const templateList = document.getElementById('templateList');
+    const templateVariables = document.getElementById('templateVariables');
+    const addTemplateBtn = document.getElementById('addTemplateBtn');
+    
+    // Settings edited by a form field with the same name
+    const FIELDS = [
+        'defaultTone',
+        'defaultModel',
+        'candidateCount',
+        'commentLength',
+        'language',
+        'postingBehavior',
+        'contextCommentCount',
+        'loadMoreComments',
+        'rememberPerAuthor',
+        'defaultTemplate',
+        'profileName',
+        'profileRole',
+        'profileIndustry',
+        'profileExpertise',
+        'profilePhrasesUsed',
+        'profilePhrasesAvoided',
+        'profileSampleComments',
+        'openaiBaseUrl',
+        'openaiApiKey',
+        'openaiModel',
+        'ollamaBaseUrl',
+        'llamacppBaseUrl'
+    ];
+    
+    // Fields stored as numbers rather than strings
+    const NUMBER_FIELDS = ['candidateCount', 'contextCommentCount'];
+    
+    // Endpoints the manifest already grants access to
+    const GRANTED_ORIGINS = chrome.runtime.getManifest().host_permissions;
+    
+    /**
+     * Custom logging utility
+     */
+    const logger = {
+        // Set to false in production
+        enabled: false,
+        
+        log(message, data) {
+            if (this.enabled) {
+                console.log(`[LinkedIn Comment Generator] ${message}`, data || '');
+            }
+        },
+        
+        error(message, error) {
+            // Always log errors
+            console.error(`[LinkedIn Comment Generator] ${message}`, error || '');
+        }
+    };
+    
+    /**
+     * Show a status message next to the save button
+     * @param {string} message - Message to display
+     * @param {boolean} isError - Whether the message is an error
+     */
+    function updateStatus(message, isError = false) {
+        statusElement.textContent = message;
+        statusElement.className = `status ${isError ? 'error' : 'success'}`;
+        setTimeout(() => {
+            statusElement.textContent = '';
+            statusElement.className = 'status';
+        }, 3000);
+    }
+    
+    /**
+     * Fill a select element with options
+     * @param {HTMLSelectElement} select - Select to fill
+     * @param {Array} options - Options as { value, label }
+     */
+    function fillSelect(select, options) {
+        select.innerHTML = '';
+        options.forEach(({ value, label }) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            select.appendChild(option);
+        });
+    }
+    
+    /**
+     * Populate the default model dropdown, keeping the saved model even if its provider is offline
+     * @param {string} selectedModel - The saved default model
+     */
+    async function loadModels(selectedModel) {
+        let models = [];
+        try {
+            const response = await chrome.runtime.sendMessage({ action: 'listModels' });
+            if (response && response.success) {
+                models = response.models;
+            }
+        } catch (error) {
+            logger.error('Error loading models', error);
+        }
+        
+        if (!models.some(model => model.value === selectedModel)) {
+            models = [{ value: selectedModel, label: `${selectedModel} (unavailable)` }, ...models];
+        }
+        
+        fillSelect(defaultModelSelect, models);
+        defaultModelSelect.value = selectedModel;
+    }
+    
+    /**
+     * Refresh the default template dropdown from the template editors, keeping the selection
+     */
+    function refreshDefaultTemplateOptions() {
+        const selected = defaultTemplateSelect.value;
+        fillSelect(defaultTemplateSelect, readTemplates().map(template => ({
+            value: template.id,
+            label: template.name || 'Untitled template'
+        })));
+        if (Array.from(defaultTemplateSelect.options).some(option => option.value === selected)) {
+            defaultTemplateSelect.value = selected;
+        }
+    }
+    
+    /**
+     * Add an editor for one prompt template
+     * @param {Object} template - { id, name, body }
+     */
+    function addTemplateEditor(template) {
+        const editor = document.createElement('div');
+        editor.className = 'template-editor';
+        editor.dataset.id = template.id;
+        
+        const header = document.createElement('div');
+        header.className = 'template-editor-header';
+        
+        const nameInput = document.createElement('input');
+        nameInput.type = 'text';
+        nameInput.className = 'input template-name';
+        nameInput.placeholder = 'Template name';
+        nameInput.value = template.name;
+        nameInput.addEventListener('input', refreshDefaultTemplateOptions);
+        
+        const removeBtn = document.createElement('button');
+        removeBtn.type = 'button';
+        removeBtn.className = 'button remove-button';
+        removeBtn.textContent = 'Remove';
+        removeBtn.addEventListener('click', () => {
+            if (templateList.children.length === 1) {
+                updateStatus('Keep at least one template', true);
+                return;
+            }
+            editor.remove();
+            refreshDefaultTemplateOptions();
+        });
+        
+        const bodyInput = document.createElement('textarea');
+        bodyInput.className = 'input template-body';
+        bodyInput.placeholder = 'Write a comment for this post: "{{post}}"';
+        bodyInput.value = template.body;
+        
+        header.appendChild(nameInput);
+        header.appendChild(removeBtn);
+        editor.appendChild(header);
+        editor.appendChild(bodyInput);
+        templateList.appendChild(editor);
+    }
+    
+    /**
+     * Read the prompt templates from their editors
+     * @returns {Array} Templates as { id, name, body }
+     */
+    function readTemplates() {
+        return Array.from(templateList.children).map(editor => ({
+            id: editor.dataset.id,
+            name: editor.querySelector('.template-name').value.trim(),
+            body: editor.querySelector('.template-body').value.trim()
+        }));
+    }
+    
+    /**
+     * Ask for access to custom endpoints that the manifest does not already cover
+     * Must run from the submit handler so Chrome treats it as a user gesture.
+     * @param {Array<string>} urls - Endpoint URLs from the form
+     * @returns {Promise<boolean>} Whether access was granted
+     */
+    async function requestEndpointPermissions(urls) {
+        const origins = urls
+            .filter(Boolean)
+            .map(url => {
+                // Match patterns ignore ports, so http://localhost/* also covers :11434
+                const { protocol, hostname } = new URL(url);
+                return `${protocol}//${hostname}/*`;
+            })
+            .filter(origin => !GRANTED_ORIGINS.includes(origin));
+        
+        if (origins.length === 0) {
+            return true;
+        }
+        
+        return chrome.permissions.request({ origins });
+    }
+    
+    /**
+     * Load the stored settings into the form
+     */
+    async function loadSettings() {
+        const settings = await SETTINGS.load();
+        
+        // The default template dropdown lists the templates, so render them first
+        templateList.innerHTML = '';
+        settings.promptTemplates.forEach(addTemplateEditor);
+        refreshDefaultTemplateOptions();
+        
+        FIELDS.forEach(field => {
+            const element = form.elements[field];
+            if (!element || field === 'defaultModel') return;
+            
+            if (element.type === 'checkbox') {
+                element.checked = settings[field];
+            } else {
+                element.value = settings[field];
+            }
+        });
+        
+        await loadModels(settings.defaultModel);
+    }
+    
+    form.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        
+        const changes = {};
+        FIELDS.forEach(field => {
+            const element = form.elements[field];
+            if (element.type === 'checkbox') {
+                changes[field] = element.checked;
+            } else if (NUMBER_FIELDS.includes(field)) {
+                changes[field] = Number(element.value);
+            } else {
+                changes[field] = element.value.trim();
+            }
+        });
+        
+        changes.promptTemplates = readTemplates();
+        if (changes.promptTemplates.some(template => !template.name || !template.body)) {
+            updateStatus('Every template needs a name and a prompt', true);
+            return;
+        }
+        
+        try {
+            const granted = await requestEndpointPermissions([
+                changes.openaiBaseUrl,
+                changes.ollamaBaseUrl,
+                changes.llamacppBaseUrl
+            ]);
+            
+            await SETTINGS.save(changes);
+            logger.log('Settings saved', changes);
+            
+            if (granted) {
+                updateStatus('✅ Settings saved');
+            } else {
+                updateStatus('Settings saved, but access to a custom endpoint was denied', true);
+            }
+            
+            // Endpoints may have changed, so refresh the model list
+            await loadModels(changes.defaultModel);
+        } catch (error) {
+            logger.error('Error saving settings', error);
+            updateStatus(`Failed to save settings: ${error.message}`, true);
+        }
+    });
+    
+    addTemplateBtn.addEventListener('click', () => {
+        addTemplateEditor({ id: `template-${Date.now()}`, name: '', body: '' });
+        templateList.lastElementChild.querySelector('.template-name').focus();
+        refreshDefaultTemplateOptions();
+    });
+    
+    SETTINGS.TEMPLATE_VARIABLES.forEach(({ name, description }) => {
+        const item = document.createElement('li');
+        item.innerHTML = `<code>{{${name}}}</code> - ${description}`;
+        templateVariables.appendChild(item);
+    });
+    
+    fillSelect(defaultToneSelect, SETTINGS.TONES);
+    fillSelect(commentLengthSelect, SETTINGS.LENGTHS);
+    loadSettings().catch(error => {
+        logger.error('Error loading settings', error);
+        updateStatus('Failed to load settings', true);
+    });
+});
@@ -21,14 +21,34 @@ document.addEventListener('DOMContentLoaded', function() {
     const regenerateBtn = document.getElementById('regenerateBtn');
     const copyBtn = document.getElementById('copyBtn');
     const postBtn = document.getElementById('postBtn');
+    const commentedNotice = document.getElementById('commentedNotice');
     const loading = document.getElementById('loading');
     const error = document.getElementById('error');
     const commentArea = document.getElementById('commentArea');
+    const toneSelect = document.getElementById('toneSelect');
+    const modelSelect = document.getElementById('modelSelect');
+    const modelNotice = document.getElementById('modelNotice');
+    const lengthSelect = document.getElementById('lengthSelect');
+    const templateSelect = document.getElementById('templateSelect');
+    const templateGroup = document.getElementById('templateGroup');
+    const settingsBtn = document.getElementById('settingsBtn');
+    const historyBtn = document.getElementById('historyBtn');
+    const stopBtn = document.getElementById('stopBtn');
 
     // State variables
     let currentPost = null;
+    let currentPostData = null; // Structured post (author, article, hashtags, ...) from the content script
     let currentCaption = null;
     let currentComment = null;
+    let currentAuthorKey = null;
+    let currentPostId = null; // Lets the content script post to the same post the comment was generated for
+    let currentHistory = null; // Post URN, URL, author and excerpt stored with comment history
+    let historyEntryId = null; // Promise of the history entry of the latest generation
+    let generatedComments = []; // Everything generated for this post, to tell whether the posted text was edited
+    let previousComment = null; // The user's earlier comment on this post, { comment, source }
+    let currentCommenter = ''; // Signed-in user's name, the voice profile falls back to it
+    let draftOnly = false; // Posting behavior 'draft': fill LinkedIn's comment box but never submit
+    let generationController = null; // Aborts the pending generation; closing the popup cancels it too
 
     /**
      * Custom logging utility
@@ -93,18 +113,37 @@ document.addEventListener('DOMContentLoaded', function() {
             return;
         }
 
-        let previewHtml = '';
+        // Caption and content are LinkedIn text, so they are set as text and never parsed as HTML
+        postContent.innerHTML = '';
         if (caption) {
-            previewHtml += `<div class="caption">${caption}</div>`;
+            const captionElement = document.createElement('div');
+            captionElement.className = 'caption';
+            captionElement.textContent = caption;
+            postContent.appendChild(captionElement);
         }
-        previewHtml += `<div class="content">${content.substring(0, 200)}${content.length > 200 ? '...' : ''}</div>`;
-        
-        postContent.innerHTML = previewHtml;
+        const contentElement = document.createElement('div');
+        contentElement.className = 'content';
+        contentElement.textContent = `${content.substring(0, 200)}${content.length > 200 ? '...' : ''}`;
+        postContent.appendChild(contentElement);
         
         // Animate the post preview
         postContent.style.animation = 'fadeIn 0.3s ease-out';
     }
 
+    /**
+     * Show the comment the user already left on this post, if any
+     */
+    function updateCommentedNotice() {
+        if (!previousComment) {
+            commentedNotice.style.display = 'none';
+            return;
+        }
+        
+        const excerpt = previousComment.comment.length > 120 ? `${previousComment.comment.substring(0, 120)}...` : previousComment.comment;
+        commentedNotice.textContent = excerpt ? `Commented ✓ You already wrote: "${excerpt}"` : 'Commented ✓ You already commented on this post';
+        commentedNotice.style.display = 'block';
+    }
+
     /**
      * Show loading state
      */
@@ -112,6 +151,8 @@ document.addEventListener('DOMContentLoaded', function() {
         loading.style.display = 'block';
         commentArea.style.display = 'none';
         error.style.display = 'none';
+        regenerateBtn.disabled = true;
+        postBtn.disabled = true;
     }
 
     /**
@@ -121,7 +162,7 @@ document.addEventListener('DOMContentLoaded', function() {
         loading.style.display = 'none';
         commentArea.style.display = 'block';
         regenerateBtn.disabled = false;
-        confirmBtn.disabled = false;
+        postBtn.disabled = false;
         copyBtn.disabled = false;
     }
 
@@ -135,7 +176,117 @@ document.addEventListener('DOMContentLoaded', function() {
     }
 
     /**
-     * Generate a comment via the content script
+     * Populate the model dropdown with the models the background providers offer
+     */
+    async function loadModels() {
+        try {
+            const [response, settings] = await Promise.all([
+                chrome.runtime.sendMessage({ action: 'listModels' }),
+                SETTINGS.load()
+            ]);
+            
+            if (!response || !response.success) {
+                throw new Error(response?.error || 'Could not list models');
+            }
+            
+            modelSelect.innerHTML = '';
+            response.models.forEach(model => {
+                const option = document.createElement('option');
+                option.value = model.value;
+                option.textContent = model.label;
+                modelSelect.appendChild(option);
+            });
+            
+            // Explain why the preferred provider's models are missing (e.g. local server not running)
+            const defaultProvider = settings.defaultModel.split(':')[0];
+            const unavailable = (response.unavailable || []).find(u => u.provider === defaultProvider);
+            if (unavailable) {
+                modelNotice.textContent = `⚠️ ${unavailable.error}`;
+                modelNotice.style.display = 'block';
+            }
+        } catch (error) {
+            logger.error('Error loading models', error);
+        }
+    }
+    
+    /**
+     * Turn the Post button into "Insert as draft" when the options page asks for draft-only mode
+     */
+    async function applyPostingBehavior() {
+        try {
+            const settings = await SETTINGS.load();
+            draftOnly = settings.postingBehavior === 'draft';
+            if (draftOnly) {
+                postBtn.innerHTML = '<span>📝</span> Insert as draft';
+                postBtn.title = 'Fill LinkedIn\'s comment box without posting';
+            }
+        } catch (error) {
+            logger.error('Error loading posting behavior', error);
+        }
+    }
+    
+    /**
+     * Fill the length and template dropdowns, preselecting the defaults from the options page
+     */
+    async function loadPromptOptions() {
+        try {
+            const settings = await SETTINGS.load();
+            
+            SETTINGS.LENGTHS.forEach(length => {
+                const option = document.createElement('option');
+                option.value = length.value;
+                option.textContent = `${length.label} (up to ${length.maxSentences} sentences)`;
+                lengthSelect.appendChild(option);
+            });
+            lengthSelect.value = settings.commentLength;
+            
+            settings.promptTemplates.forEach(template => {
+                const option = document.createElement('option');
+                option.value = template.id;
+                option.textContent = `📝 ${template.name}`;
+                templateSelect.appendChild(option);
+            });
+            templateSelect.value = SETTINGS.getTemplate(settings, settings.defaultTemplate).id;
+            
+            // Like the in-page panel, only offer a choice when there is one
+            templateGroup.style.display = settings.promptTemplates.length > 1 ? 'block' : 'none';
+        } catch (error) {
+            logger.error('Error loading prompt options', error);
+        }
+    }
+    
+    /**
+     * Select the tone, model, template and hint used last time (for the current post's author if known),
+     * falling back to the defaults from the options page
+     */
+    async function restoreLastUsed() {
+        try {
+            const [settings, lastUsed] = await Promise.all([
+                SETTINGS.load(),
+                SETTINGS.loadLastUsed(currentAuthorKey)
+            ]);
+            
+            toneSelect.value = (lastUsed && lastUsed.tone) || settings.defaultTone;
+            
+            const preferredModel = (lastUsed && lastUsed.model) || settings.defaultModel;
+            if (Array.from(modelSelect.options).some(option => option.value === preferredModel)) {
+                modelSelect.value = preferredModel;
+            }
+            
+            if (lastUsed && lastUsed.template && Array.from(templateSelect.options).some(option => option.value === lastUsed.template)) {
+                templateSelect.value = lastUsed.template;
+            }
+            
+            if (lastUsed && lastUsed.hint && !hintInput.value) {
+                hintInput.value = lastUsed.hint;
+            }
+        } catch (error) {
+            logger.error('Error restoring last used selections', error);
+        }
+    }
+    
+    /**
+     * Generate a comment via the background script, showing text as it streams in
      */
     async function generateComment() {
         if (!currentPost) {
@@ -144,36 +295,112 @@ document.addEventListener('DOMContentLoaded', function() {
         }
 
         showLoading();
+        generationController = new AbortController();
 
         try {
-            // Get the current active tab
-            const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
-            
-            // Send message to content script to generate comment
             const hint = hintInput.value.trim();
+            const tone = toneSelect.value;
+            const model = modelSelect.value;
+            const length = lengthSelect.value;
+            const template = templateSelect.value || null;
             
-            const response = await chrome.tabs.sendMessage(tab.id, {
-                action: 'generateComment',
+            SETTINGS.saveLastUsed({ tone, model, template, hint }, currentAuthorKey).catch(error => {
+                logger.error('Error saving last used selections', error);
+            });
+            
+            const comment = await GENERATION.stream({
                 content: currentPost,
+                post: currentPostData,
                 caption: currentCaption,
-                hint: hint
+                hint: hint,
+                tone: tone,
+                model: model,
+                length: length,
+                template: template,
+                commenter: currentCommenter
+            }, {
+                signal: generationController.signal,
+                onChunk: (text, fullText) => {
+                    // Show the comment box as soon as text arrives, keeping the spinner and Stop below it
+                    commentArea.style.display = 'block';
+                    commentBox.value = fullText;
+                }
             });
 
-            if (response.success && response.comment) {
-                currentComment = response.comment;
-                commentBox.value = currentComment;
-            } else {
-                showError(response.error || 'Failed to generate comment');
-            }
-            
+            currentComment = comment;
+            commentBox.value = currentComment;
             hideLoading();
+            
+            generatedComments.push(comment);
+            historyEntryId = recordGeneration(comment, { tone, model, template, hint });
         } catch (error) {
-            logger.error('Error generating comment', error);
-            showError('Failed to generate comment. Please try again.');
+            if (error.name === 'AbortError') {
+                // Stopped by the user: keep whatever text had already streamed in
+                logger.log('Comment generation cancelled');
+                currentComment = commentBox.value.trim() || null;
+                if (currentComment) {
+                    generatedComments.push(currentComment);
+                }
+            } else {
+                logger.error('Error generating comment', error);
+                showError(error.message || 'Failed to generate comment. Please try again.');
+            }
             hideLoading();
+        } finally {
+            generationController = null;
         }
     }
 
+    /**
+     * Store a generated comment in the comment history
+     * @param {string} comment - The generated comment
+     * @param {Object} selection - { tone, model, template, hint } it was generated with
+     * @returns {Promise<number|null>} ID of the history entry
+     */
+    async function recordGeneration(comment, { tone, model, template, hint }) {
+        try {
+            const settings = await SETTINGS.load();
+            return await HISTORY.add({
+                ...currentHistory,
+                comment,
+                generatedComments: [comment],
+                tone,
+                model,
+                template: SETTINGS.getTemplate(settings, template || settings.defaultTemplate).name,
+                hint
+            });
+        } catch (error) {
+            logger.error('Error recording comment history', error);
+            return null;
+        }
+    }
+    
+    /**
+     * Record what happened when the comment was posted or inserted as a draft
+     * @param {string} status - 'posted', 'draft' or 'failed'
+     * @param {Object} response - Response of the content script, with commentUrn and error
+     */
+    async function recordPostResult(status, response) {
+        try {
+            const changes = {
+                comment: currentComment,
+                edited: !generatedComments.includes(currentComment),
+                status,
+                commentUrn: response?.commentUrn || null,
+                error: response?.error || null,
+                postedAt: status === 'failed' ? null : Date.now()
+            };
+            const id = await historyEntryId;
+            if (id) {
+                await HISTORY.update(id, changes);
+            } else {
+                await HISTORY.add({ ...currentHistory, ...changes });
+            }
+        } catch (error) {
+            logger.error('Error updating comment history', error);
+        }
+    }
+    
     /**
      * Copy the generated comment to clipboard
      * @param {HTMLElement} button - Optional button element to show feedback
@@ -221,11 +448,15 @@ document.addEventListener('DOMContentLoaded', function() {
             showError('No comment generated yet');
             return;
         }
+        
+        if (previousComment && !window.confirm(`You already commented on this post.\n\n${draftOnly ? 'Insert' : 'Post'} another comment?`)) {
+            return;
+        }
 
         try {
             // Show posting state
             const originalHTML = postBtn.innerHTML;
-            postBtn.innerHTML = '<span>⏳</span> Posting...';
+            postBtn.innerHTML = draftOnly ? '<span>⏳</span> Inserting...' : '<span>⏳</span> Posting...';
             postBtn.disabled = true;
             postBtn.style.opacity = '0.7';
             
@@ -235,11 +466,15 @@ document.addEventListener('DOMContentLoaded', function() {
             // Send message to content script to post comment
             const response = await chrome.tabs.sendMessage(tab.id, {
                 action: 'postComment',
-                comment: currentComment
+                comment: currentComment,
+                postId: currentPostId,
+                draft: draftOnly
             });
 
+            recordPostResult(response && response.success ? (draftOnly ? 'draft' : 'posted') : 'failed', response);
+            
             if (response && response.success) {
-                postBtn.innerHTML = '<span>✅</span> Posted!';
+                postBtn.innerHTML = draftOnly ? '<span>✅</span> Inserted' : '<span>✅</span> Posted!';
                 postBtn.style.background = 'linear-gradient(90deg, #22c55e 0%, #16a34a 100%)';
                 
                 // Close the popup after successful posting
@@ -247,7 +482,8 @@ document.addEventListener('DOMContentLoaded', function() {
                     window.close();
                 }, 1500);
             } else {
-                postBtn.innerHTML = '<span>❌</span> Failed';
+                // The content script clicked Post but never saw the comment appear under the post
+                postBtn.innerHTML = response?.submitted ? '<span>⚠️</span> Not confirmed' : '<span>❌</span> Failed';
                 postBtn.style.background = 'linear-gradient(90deg, #ef4444 0%, #dc2626 100%)';
                 showError(response?.error || 'Failed to post comment. Please try again.');
                 
@@ -265,7 +501,7 @@ document.addEventListener('DOMContentLoaded', function() {
             showError('Failed to post comment. Please try again.');
             
             setTimeout(() => {
-                const originalHTML = '<span>💬</span> Post Comment';
+                const originalHTML = draftOnly ? '<span>📝</span> Insert as draft' : '<span>💬</span> Post Comment';
                 postBtn.innerHTML = originalHTML;
                 postBtn.style.background = 'linear-gradient(90deg, #22c55e 0%, #16a34a 100%)';
                 postBtn.disabled = false;
@@ -280,6 +516,13 @@ document.addEventListener('DOMContentLoaded', function() {
     regenerateBtn.addEventListener('click', generateComment);
     if (copyBtn) copyBtn.addEventListener('click', () => copyCommentToClipboard(copyBtn));
     postBtn.addEventListener('click', postCommentToLinkedIn);
+    stopBtn.addEventListener('click', () => {
+        if (generationController) {
+            generationController.abort();
+        }
+    });
+    settingsBtn.addEventListener('click', () => chrome.runtime.openOptionsPage());
+    historyBtn.addEventListener('click', () => chrome.tabs.create({ url: chrome.runtime.getURL('comments.html') }));
     hintInput.addEventListener('keypress', (e) => {
         if (e.key === 'Enter') {
             generateComment();
@@ -308,8 +551,21 @@ document.addEventListener('DOMContentLoaded', function() {
             
             if (response && response.success && response.content) {
                 currentPost = response.content;
+                currentPostData = response.post || null;
                 currentCaption = response.caption;
+                currentAuthorKey = response.authorKey || null;
+                currentPostId = response.postId || null;
+                currentHistory = response.history || null;
+                previousComment = response.previousComment || null;
+                currentCommenter = response.commenter || '';
                 updatePostPreview(currentPost, currentCaption);
+                updateCommentedNotice();
+                
+                // Prefer the selections last used for this post's author
+                await modelsLoaded;
+                if (currentAuthorKey) {
+                    await restoreLastUsed();
+                }
                 generateComment(); // Auto-generate first comment
             } else {
                 updatePostPreview(null, null);
@@ -322,5 +578,13 @@ document.addEventListener('DOMContentLoaded', function() {
     }
 
     // Start initialization
+    SETTINGS.TONES.forEach(tone => {
+        const option = document.createElement('option');
+        option.value = tone.value;
+        option.textContent = tone.label;
+        toneSelect.appendChild(option);
+    });
+    const modelsLoaded = Promise.all([loadModels(), loadPromptOptions()]).then(restoreLastUsed);
+    applyPostingBehavior();
     initialize();
 }); 
\ No newline at end of file
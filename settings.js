@@ -0,0 +1,257 @@
+/**
+ * LinkedIn Comment Generator - Shared Settings
+ *
+ * Loaded by the background script, the content script and the extension pages
+ * so every surface reads the same defaults from chrome.storage.sync, or from
+ * chrome.storage.local for the settings listed in LOCAL_KEYS.
+ */
+const SETTINGS = {
+    /**
+     * Default values for every stored setting
+     */
+    DEFAULTS: {
+        // Model used when nothing else was selected, in "provider:model" form
+        defaultModel: 'shiv:gemini-pro',
+        defaultTone: 'professional',
+        
+        // Prompt shaping
+        candidateCount: 1, // Comments generated in parallel per click
+        commentLength: 'medium',
+        language: '', // Empty means reply in the language of the post
+        contextCommentCount: 5, // Existing comments sent as context, 0 disables
+        loadMoreComments: false, // Click "Load more comments" before reading them
+        
+        // What the Post button does: 'post' submits right away, 'confirm' asks first,
+        // 'draft' only fills LinkedIn's comment box for the user to submit
+        postingBehavior: 'post',
+        
+        // Restore the tone, model, template and hint last used for the same post author
+        rememberPerAuthor: true,
+        
+        // Named prompt templates, see TEMPLATE_VARIABLES for what they can use
+        promptTemplates: [
+            {
+                id: 'default',
+                name: 'Default',
+                body: 'Generate a professional LinkedIn comment for the following post' +
+                    '{{#author}} by {{author}}{{/author}}{{#authorHeadline}} ({{authorHeadline}}){{/authorHeadline}}: "{{post}}"' +
+                    '{{#reshared}} The post reshares this post: "{{reshared}}"{{/reshared}}' +
+                    '{{#article}} The post links to the article: {{article}}{{/article}}' +
+                    '{{#comments}} Others already commented: {{comments}} Do not repeat their points; add a distinct angle.{{/comments}}' +
+                    '{{#hint}} Additional context: {{hint}}{{/hint}} Use a {{tone}} tone.' +
+                    ' Write a brief, engaging comment (at most {{maxSentences}} sentences) that adds value.' +
+                    ' NOTE : No markdown formatting, asterisks, or em dashes. Use natural language as if' +
+                    ' commenting on a colleague\'s post. Keep it conversational and concise.' +
+                    '{{#language}} Write the comment in {{language}}.{{/language}}'
+            }
+        ],
+        defaultTemplate: 'default',
+        
+        // Personal voice profile, sent to the model as system context with every prompt
+        profileName: '', // Empty uses the name of the signed-in LinkedIn account
+        profileRole: '',
+        profileIndustry: '',
+        profileExpertise: '',
+        profilePhrasesUsed: '',
+        profilePhrasesAvoided: '',
+        profileSampleComments: '',
+        
+        // OpenAI-compatible chat completions endpoint (OpenAI, company gateway, local server)
+        openaiBaseUrl: 'https://api.openai.com/v1',
+        openaiApiKey: '',
+        openaiModel: 'gpt-4o-mini',
+        
+        // Local servers, so post content never leaves the machine
+        ollamaBaseUrl: 'http://localhost:11434',
+        llamacppBaseUrl: 'http://localhost:8080'
+    },
+    
+    /**
+     * Settings kept in chrome.storage.local instead of chrome.storage.sync
+     * Free-form text can outgrow sync's 8 KB limit per setting, and secrets
+     * must not be copied to every browser signed into the account.
+     */
+    LOCAL_KEYS: [
+        'promptTemplates',
+        // The voice profile, sample comments in particular, can run to several paragraphs
+        'profileName',
+        'profileRole',
+        'profileIndustry',
+        'profileExpertise',
+        'profilePhrasesUsed',
+        'profilePhrasesAvoided',
+        'profileSampleComments',
+        'openaiApiKey'
+    ],
+    
+    // Promise of the move of LOCAL_KEYS out of chrome.storage.sync, done once per page
+    localKeysMigrated: null,
+    
+    /**
+     * Comment tones offered in every tone selector
+     */
+    TONES: [
+        { value: 'professional', label: 'Professional 💼' },
+        { value: 'supportive', label: 'Supportive 🤝' },
+        { value: 'friendly', label: 'Friendly 😊' },
+        { value: 'inquisitive', label: 'Inquisitive ❓' },
+        { value: 'cheerful', label: 'Cheerful 🎉' },
+        { value: 'funny', label: 'Funny 😂' }
+    ],
+    
+    /**
+     * Comment lengths and the most sentences each one asks the model for
+     */
+    LENGTHS: [
+        { value: 'short', label: 'Short', maxSentences: 2 },
+        { value: 'medium', label: 'Medium', maxSentences: 3 },
+        { value: 'long', label: 'Long', maxSentences: 5 }
+    ],
+    
+    /**
+     * Variables available in prompt templates as {{name}}
+     * {{#name}}...{{/name}} keeps the enclosed text only when the variable is not empty.
+     */
+    TEMPLATE_VARIABLES: [
+        { name: 'post', description: 'Text of the post' },
+        { name: 'author', description: 'Name of the post author' },
+        { name: 'authorHeadline', description: 'Headline of the post author' },
+        { name: 'postedAt', description: 'When the post was published, as shown on LinkedIn (e.g. 2h)' },
+        { name: 'reshared', description: 'Author and text of the reshared original post' },
+        { name: 'article', description: 'Title and link of the shared article' },
+        { name: 'mediaType', description: 'Attached media: image, video, document, poll or article' },
+        { name: 'hashtags', description: 'Hashtags in the post' },
+        { name: 'mentions', description: 'People and companies mentioned in the post' },
+        { name: 'reactionCount', description: 'Number of reactions' },
+        { name: 'commentCount', description: 'Number of comments' },
+        { name: 'comments', description: 'Top existing comments under the post' },
+        { name: 'replyAuthor', description: 'Author of the comment being replied to (AI Reply only)' },
+        { name: 'replyTo', description: 'Text of the comment being replied to (AI Reply only)' },
+        { name: 'thread', description: 'Other comments in the thread being replied to (AI Reply only)' },
+        { name: 'tone', description: 'Selected tone' },
+        { name: 'hint', description: 'Hint typed in the panel' },
+        { name: 'language', description: 'Comment language from the settings (empty means the post language)' },
+        { name: 'maxSentences', description: 'Upper sentence limit for the selected comment length' }
+    ],
+    
+    /**
+     * Find a prompt template by ID, falling back to the default template
+     * @param {Object} settings - Loaded settings
+     * @param {string} templateId - Template to look up
+     * @returns {Object} { id, name, body }
+     */
+    getTemplate(settings, templateId) {
+        const templates = settings.promptTemplates || [];
+        return templates.find(template => template.id === templateId) ||
+            templates.find(template => template.id === settings.defaultTemplate) ||
+            templates[0] ||
+            SETTINGS.DEFAULTS.promptTemplates[0];
+    },
+    
+    /**
+     * Split settings into the ones stored in chrome.storage.sync and chrome.storage.local
+     * @param {Object} values - Settings keyed by name
+     * @returns {Object} { sync, local }
+     */
+    splitByStorage(values) {
+        const sync = {};
+        const local = {};
+        Object.entries(values).forEach(([key, value]) => {
+            (SETTINGS.LOCAL_KEYS.includes(key) ? local : sync)[key] = value;
+        });
+        return { sync, local };
+    },
+    
+    /**
+     * Move LOCAL_KEYS that earlier versions stored in chrome.storage.sync to chrome.storage.local
+     * A value already in chrome.storage.local wins.
+     * @returns {Promise<void>}
+     */
+    migrateLocalKeys() {
+        if (!SETTINGS.localKeysMigrated) {
+            SETTINGS.localKeysMigrated = (async () => {
+                const synced = await chrome.storage.sync.get(SETTINGS.LOCAL_KEYS);
+                const keys = Object.keys(synced);
+                if (keys.length === 0) return;
+                
+                const local = await chrome.storage.local.get(keys);
+                await chrome.storage.local.set({ ...synced, ...local });
+                await chrome.storage.sync.remove(keys);
+            })().catch(error => {
+                SETTINGS.localKeysMigrated = null;
+                throw error;
+            });
+        }
+        return SETTINGS.localKeysMigrated;
+    },
+    
+    /**
+     * Load all settings, filling in defaults for missing keys
+     * @returns {Promise<Object>} The stored settings
+     */
+    async load() {
+        await SETTINGS.migrateLocalKeys();
+        
+        const defaults = SETTINGS.splitByStorage(SETTINGS.DEFAULTS);
+        const [synced, local] = await Promise.all([
+            chrome.storage.sync.get(defaults.sync),
+            chrome.storage.local.get(defaults.local)
+        ]);
+        return { ...synced, ...local };
+    },
+    
+    /**
+     * Persist one or more settings
+     * @param {Object} changes - Settings to store
+     * @returns {Promise<void>}
+     */
+    async save(changes) {
+        await SETTINGS.migrateLocalKeys();
+        
+        const { sync, local } = SETTINGS.splitByStorage(changes);
+        await Promise.all([
+            Object.keys(sync).length > 0 ? chrome.storage.sync.set(sync) : null,
+            Object.keys(local).length > 0 ? chrome.storage.local.set(local) : null
+        ]);
+    },
+    
+    /**
+     * Load the tone, model, template and hint used last time, preferring the ones used for this author
+     * Kept in chrome.storage.local because it changes on every generation.
+     * @param {string|null} authorKey - Stable key for the post author, if known
+     * @returns {Promise<Object|null>} { tone, model, template, hint } or null if nothing was stored
+     */
+    async loadLastUsed(authorKey = null) {
+        const [{ lastUsed }, settings] = await Promise.all([
+            chrome.storage.local.get({ lastUsed: { global: null, authors: {} } }),
+            SETTINGS.load()
+        ]);
+        
+        if (authorKey && settings.rememberPerAuthor && lastUsed.authors[authorKey]) {
+            return lastUsed.authors[authorKey];
+        }
+        return lastUsed.global;
+    },
+    
+    /**
+     * Remember the tone, model, template and hint just used, globally and for the post author
+     * @param {Object} selection - { tone, model, template, hint }
+     * @param {string|null} authorKey - Stable key for the post author, if known
+     * @returns {Promise<void>}
+     */
+    async saveLastUsed(selection, authorKey = null) {
+        const MAX_AUTHORS = 200;
+        const { lastUsed } = await chrome.storage.local.get({ lastUsed: { global: null, authors: {} } });
+        
+        lastUsed.global = selection;
+        if (authorKey) {
+            // Re-insert so the most recent authors stay at the end, then drop the oldest
+            delete lastUsed.authors[authorKey];
+            lastUsed.authors[authorKey] = selection;
+            const keys = Object.keys(lastUsed.authors);
+            keys.slice(0, Math.max(0, keys.length - MAX_AUTHORS)).forEach(key => delete lastUsed.authors[key]);
+        }
+        
+        await chrome.storage.local.set({ lastUsed });
+    }
+};